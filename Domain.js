@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
 
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+
 const Schema = mongoose.Schema;
 
 const DomainSchema = new Schema({
@@ -51,11 +53,51 @@ const DomainSchema = new Schema({
   integrations: {
     hubspot: {
       status: Boolean,
+      // minutes between incremental syncs per object type, HUBSPOT_SYNC_INTERVAL is used for the rest
+      syncIntervals: {
+        type: Map,
+        of: Number,
+        default: {}
+      },
+      // names of the HubSpot custom objects to sync, as in the schemas of the accounts
+      customObjects: [String],
+      // properties whose changes become actions per object type, replacing the defaults of objectTypes.js
+      trackedProperties: {
+        type: Map,
+        of: [String],
+        default: {}
+      },
+      // custom HubSpot properties pulled per object type, named hubspot__<normalized name> on the actions
+      propertyMappings: {
+        type: Map,
+        of: [new Schema({
+          hubspotProperty: {
+            type: String,
+            required: true
+          },
+          name: String,
+          target: {
+            type: String,
+            default: 'userProperties',
+            enum: ['userProperties', 'companyProperties']
+          }
+        }, { _id: false })],
+        default: {}
+      },
       accounts: [{
         hubId: String,
         hubDomain: String,
-        accessToken: String,
-        refreshToken: String,
+        // encrypted at rest, reading the field returns the plaintext token
+        accessToken: {
+          type: String,
+          get: decryptToken,
+          set: encryptToken
+        },
+        refreshToken: {
+          type: String,
+          get: decryptToken,
+          set: encryptToken
+        },
         lastPulledDate: Date,
         lastPulledDates: {
           companies: {
@@ -73,7 +115,44 @@ const DomainSchema = new Schema({
           meetings: {
             type: Date,
             default: moment().subtract(4, 'year').toISOString()
+          },
+          calls: {
+            type: Date,
+            default: moment().subtract(4, 'year').toISOString()
+          },
+          emails: {
+            type: Date,
+            default: moment().subtract(4, 'year').toISOString()
+          },
+          notes: {
+            type: Date,
+            default: moment().subtract(4, 'year').toISOString()
+          },
+          tasks: {
+            type: Date,
+            default: moment().subtract(4, 'year').toISOString()
           }
+        },
+        // lastPulledDates of the enabled custom objects, by name
+        customObjectLastPulledDates: {
+          type: Map,
+          of: Date,
+          default: {}
+        },
+        // checkpoint of an unfinished sync per object type, removed once lastPulledDates is advanced
+        syncCursors: {
+          type: Map,
+          of: new Schema({
+            lastModifiedDate: Date,
+            splitEnd: Date,
+            lastObjectId: String,
+            windowEnd: Date,
+            completed: {
+              type: Boolean,
+              default: false
+            }
+          }, { _id: false }),
+          default: {}
         }
       }]
     }
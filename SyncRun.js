@@ -0,0 +1,64 @@
+// require mongoose
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// runs are kept for 90 days
+const RETENTION = 90 * 24 * 60 * 60;
+
+/**
+ * The sync of one object type of one HubSpot account, or a failure of a whole account or domain sync
+ * when hubId or objectType is missing
+ */
+const SyncRunSchema = new Schema({
+  runId: String,
+  domainId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Domain',
+    required: true
+  },
+  apiKey: String,
+  hubId: String,
+  objectType: String,
+  trigger: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'stopped'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  // the modification dates pulled, [windowStart, windowEnd)
+  windowStart: Date,
+  windowEnd: Date,
+  pages: {
+    type: Number,
+    default: 0
+  },
+  records: {
+    type: Number,
+    default: 0
+  },
+  actions: {
+    type: Number,
+    default: 0
+  },
+  retries: {
+    type: Number,
+    default: 0
+  },
+  syncErrors: [new Schema({
+    operation: String,
+    message: String,
+    stack: String,
+    status: Number
+  }, { _id: false })]
+}, { minimize: false });
+
+SyncRunSchema.index({ domainId: 1, objectType: 1, startedAt: -1 });
+SyncRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION });
+
+module.exports = mongoose.model('SyncRun', SyncRunSchema);
@@ -0,0 +1,88 @@
+// require mongoose
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+const ActionSchema = new Schema({
+  objectId: String,
+  actionName: {
+    type: String,
+    required: true
+  },
+  actionDate: {
+    type: Date,
+    required: true
+  },
+  identity: String,
+  includeInAnalytics: Number,
+  userProperties: Schema.Types.Mixed,
+  companyProperties: Schema.Types.Mixed,
+  dealProperties: Schema.Types.Mixed
+}, { minimize: false, strict: false, timestamps: { createdAt: true, updatedAt: false } });
+
+// one HubSpot record can fan out into one action per associated contact (e.g. meeting attendees),
+// so the identity is part of the key next to object id, action name and action date
+ActionSchema.index({ objectId: 1, actionName: 1, actionDate: 1, identity: 1 }, { unique: true });
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Get the Action model bound to the customer's own database
+ */
+const getActionModel = async customerDBName => {
+  const db = mongoose.connection.useDb(customerDBName, { useCache: true });
+
+  if (db.models.Action) return db.models.Action;
+
+  const Action = db.model('Action', ActionSchema);
+  await Action.init();
+
+  return Action;
+};
+
+const getActionKey = action => ({
+  objectId: action.objectId ? `${action.objectId}` : null,
+  actionName: action.actionName,
+  actionDate: new Date(action.actionDate),
+  identity: action.identity || null
+});
+
+/**
+ * Insert actions into the customer's database, skipping the ones that are already stored
+ */
+const insertActions = async (customerDBName, actions) => {
+  if (!actions.length) return { inserted: 0, skipped: 0 };
+
+  const Action = await getActionModel(customerDBName);
+
+  const operations = actions.map(action => {
+    const key = getActionKey(action);
+
+    return {
+      updateOne: {
+        filter: key,
+        update: { $setOnInsert: { ...action, ...key } },
+        upsert: true
+      }
+    };
+  });
+
+  let inserted;
+  try {
+    const result = await Action.bulkWrite(operations, { ordered: false });
+    inserted = result.upsertedCount;
+  } catch (err) {
+    // concurrent upserts of the same key lose the race with a duplicate key error, which means already stored
+    const writeErrors = err.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) throw err;
+
+    inserted = err.result.upsertedCount;
+  }
+
+  return { inserted, skipped: actions.length - inserted };
+};
+
+module.exports = {
+  getActionModel,
+  insertActions
+};
@@ -0,0 +1,132 @@
+const express = require('express');
+const moment = require('moment');
+
+const Domain = require('./Domain');
+const { getEnabledObjectTypeNames, setLastPulledDate } = require('./customObjects');
+const { runSync, isSyncRunning } = require('./scheduler');
+const { getActiveRuns, getSyncRuns } = require('./syncStatus');
+const { saveDomain } = require('./utils');
+
+const router = express.Router();
+
+/**
+ * Authorize the request with the domain's apiKey, sent as x-api-key or as a bearer token
+ */
+const authenticate = async (req, res, next) => {
+  const authorization = req.get('authorization') || '';
+  const apiKey = req.get('x-api-key') || (authorization.startsWith('Bearer ') && authorization.slice(7));
+
+  if (!apiKey) return res.status(401).json({ error: 'Missing api key' });
+
+  try {
+    const domain = await Domain.findOne({ apiKey });
+    if (!domain) return res.status(401).json({ error: 'Invalid api key' });
+
+    req.domain = domain;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the optional hubId and objectType of a request against the domain
+ */
+const validateSyncTarget = (domain, { hubId, objectType }) => {
+  if (hubId && !domain.integrations.hubspot.accounts.some(account => account.hubId === `${hubId}`)) {
+    return `Unknown hubId ${hubId}`;
+  }
+
+  const objectTypeNames = getEnabledObjectTypeNames(domain);
+  if (objectType && !objectTypeNames.includes(objectType)) {
+    return `Unknown objectType ${objectType}, expected one of ${objectTypeNames.join(', ')}`;
+  }
+
+  return null;
+};
+
+router.use(authenticate);
+
+/**
+ * Start a sync of the domain, an account (hubId) or a single object type
+ */
+router.post('/syncs', (req, res) => {
+  const { hubId, objectType } = req.body || {};
+
+  const validationError = validateSyncTarget(req.domain, { hubId, objectType });
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  if (!req.domain.integrations.hubspot.status) {
+    return res.status(409).json({ error: 'HubSpot integration is disabled' });
+  }
+
+  const run = runSync(req.domain, {
+    trigger: 'api',
+    hubIds: hubId ? [`${hubId}`] : undefined,
+    objectTypeNames: objectType ? [objectType] : undefined
+  });
+
+  if (!run) return res.status(409).json({ error: 'A sync of this domain is already running' });
+
+  res.status(202).json({ run });
+});
+
+/**
+ * Status and progress of the running syncs
+ */
+router.get('/syncs/status', (req, res) => {
+  res.json({ running: getActiveRuns(req.domain._id) });
+});
+
+/**
+ * Recorded sync runs with their windows, counts and errors, optionally of one account, object type or status
+ */
+router.get('/syncs/runs', async (req, res, next) => {
+  const { hubId, objectType, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    res.json({ runs: await getSyncRuns(req.domain._id, { hubId, objectType, status, limit }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Reset lastPulledDates, so the next sync pulls everything modified since that date again
+ */
+router.post('/syncs/reset', async (req, res, next) => {
+  const { hubId, objectType, date } = req.body || {};
+
+  const validationError = validateSyncTarget(req.domain, { hubId, objectType });
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const resetDate = date ? moment(date, moment.ISO_8601, true) : moment().subtract(4, 'year');
+  if (!resetDate.isValid()) return res.status(400).json({ error: `Invalid date ${date}` });
+
+  if (isSyncRunning(req.domain)) return res.status(409).json({ error: 'A sync of this domain is running' });
+
+  const objectTypeNames = objectType ? [objectType] : getEnabledObjectTypeNames(req.domain);
+  const accounts = req.domain.integrations.hubspot.accounts.filter(account => !hubId || account.hubId === `${hubId}`);
+
+  accounts.forEach(account => {
+    objectTypeNames.forEach(objectTypeName => {
+      setLastPulledDate(account, objectTypeName, resetDate.toDate());
+      account.syncCursors.delete(objectTypeName);
+    });
+  });
+
+  try {
+    await saveDomain(req.domain);
+  } catch (err) {
+    return next(err);
+  }
+
+  res.json({
+    hubIds: accounts.map(account => account.hubId),
+    objectTypes: objectTypeNames,
+    lastPulledDate: resetDate.toISOString()
+  });
+});
+
+module.exports = router;
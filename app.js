@@ -9,6 +9,7 @@ const packageJson = require('./package.json');
 process.env.VERSION = packageJson.version;
 
 const mongoose = require('mongoose');
+const logger = require('./logger');
 mongoose.set('strictQuery', false);
 
 // mongoose connection
@@ -21,11 +22,20 @@ mongoose
     }
   )
   .then(() => {
-    console.log('connected to database');
+    logger.info('connected to database');
     require('./Domain');
 
-    // worker setup
-    require('./worker')();
+    // scheduler setup
+    const scheduler = require('./scheduler');
+    scheduler.start();
+
+    // graceful shutdown, running syncs finish their current page and flush their actions
+    process.once('SIGTERM', async () => {
+      await scheduler.stop();
+      await mongoose.disconnect();
+
+      process.exit(0);
+    });
   });
 
 process.env.instance = 'app';
@@ -0,0 +1,98 @@
+const _ = require('lodash');
+const moment = require('moment');
+
+const objectTypes = require('./objectTypes');
+const { filterNullValuesFromObject, getActionName } = require('./utils');
+
+/**
+ * Object types a domain syncs: every object type of objectTypes.js and the custom objects it enabled by name
+ */
+const getEnabledObjectTypeNames = domain => [
+  ...Object.keys(objectTypes),
+  ...(domain.integrations.hubspot.customObjects || []).filter(name => !objectTypes[name])
+];
+
+/**
+ * lastPulledDates only has the built-in object types, custom objects keep theirs in customObjectLastPulledDates
+ */
+const getLastPulledDate = (account, name) => {
+  if (objectTypes[name]) return account.lastPulledDates[name];
+
+  return account.customObjectLastPulledDates.get(name) || moment().subtract(4, 'year').toDate();
+};
+
+const setLastPulledDate = (account, name, date) => {
+  if (objectTypes[name]) {
+    account.lastPulledDates[name] = date;
+  } else {
+    account.customObjectLastPulledDates.set(name, date);
+  }
+};
+
+/**
+ * Build an object type definition from a custom object schema, see objectTypes.js for its fields.
+ * Every record becomes one action per associated contact, or a single one when it has no contacts.
+ */
+const createCustomObjectDefinition = schema => {
+  const label = schema.labels?.singular || schema.name;
+
+  return {
+    name: schema.name,
+    label,
+    objectType: schema.objectTypeId,
+    objectTypeId: schema.objectTypeId,
+    lastModifiedProperty: 'hs_lastmodifieddate',
+    properties: _.uniq(_.compact([
+      schema.primaryDisplayProperty,
+      ...(schema.secondaryDisplayProperties || []),
+      'hs_createdate',
+      'hs_lastmodifieddate'
+    ])),
+    associations: ['contacts', 'companies'],
+    mapRecord: (record, { lastPulledDate, associations, contactEmails }) => {
+      if (!record.properties) return [];
+
+      const isCreated = new Date(record.createdAt) > lastPulledDate;
+      const companyId = associations.companies?.[record.id]?.[0]?.id;
+      const emails = (associations.contacts?.[record.id] || [])
+        .map(association => contactEmails[association.id])
+        .filter(email => email);
+
+      const action = {
+        actionName: getActionName(label, isCreated ? 'Created' : 'Updated'),
+        actionDate: new Date(isCreated ? record.createdAt : record.updatedAt),
+        includeInAnalytics: 0,
+        userProperties: filterNullValuesFromObject({
+          custom_object: schema.name,
+          custom_object_id: record.id,
+          custom_object_name: record.properties[schema.primaryDisplayProperty]
+        }),
+        ...(companyId && { companyProperties: { company_id: companyId } })
+      };
+
+      return emails.length ? emails.map(email => ({ ...action, identity: email })) : [action];
+    }
+  };
+};
+
+/**
+ * Discover the custom object schemas of an account and build the definitions of the given ones, by name.
+ * Custom objects the account doesn't have are left out.
+ */
+const getCustomObjectDefinitions = async (request, names) => {
+  const customObjectNames = names.filter(name => !objectTypes[name]);
+  if (!customObjectNames.length) return {};
+
+  const schemas = (await request({ path: '/crm/v3/schemas' }))?.results || [];
+
+  return Object.fromEntries(schemas
+    .filter(schema => customObjectNames.includes(schema.name))
+    .map(schema => [schema.name, createCustomObjectDefinition(schema)]));
+};
+
+module.exports = {
+  getEnabledObjectTypeNames,
+  getLastPulledDate,
+  setLastPulledDate,
+  getCustomObjectDefinitions
+};
@@ -0,0 +1,85 @@
+const hubspot = require('@hubspot/api-client');
+
+const { updateAccount } = require('./utils');
+
+// access tokens are refreshed this long before they expire, so no request runs into an expired one
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+// one client and token state per domain account, as `${domainId}:${hubId}`
+const clients = new Map();
+
+const getClientKey = (domain, account) => `${domain._id}:${account.hubId}`;
+
+/**
+ * Get access token from HubSpot and write the rotated tokens back to the Domain account.
+ * Only the token fields are written, the sync progress of the account belongs to whoever is syncing it.
+ */
+const refreshAccessToken = async (domain, account, clientState) => {
+  const { HUBSPOT_CID, HUBSPOT_CS } = process.env;
+  const { accessToken, refreshToken } = account;
+
+  const result = await clientState.client.oauth.tokensApi
+    .createToken('refresh_token', undefined, undefined, HUBSPOT_CID, HUBSPOT_CS, refreshToken);
+  const body = result.body ? result.body : result;
+
+  clientState.expirationDate = new Date(body.expiresIn * 1000 + new Date().getTime());
+  clientState.client.setAccessToken(body.accessToken);
+
+  if (body.accessToken !== accessToken || (body.refreshToken && body.refreshToken !== refreshToken)) {
+    account.accessToken = body.accessToken;
+    account.refreshToken = body.refreshToken || refreshToken;
+
+    // the stored values, encrypted by the Domain setters
+    await updateAccount(domain, account, {
+      accessToken: account.get('accessToken', null, { getters: false }),
+      refreshToken: account.get('refreshToken', null, { getters: false })
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Get the HubSpot client of an account, refreshing its access token when it is about to expire
+ */
+const getHubspotClient = async (domain, account) => {
+  const key = getClientKey(domain, account);
+
+  if (!clients.has(key)) {
+    clients.set(key, {
+      // HUBSPOT_API_BASE points the client somewhere else than api.hubapi.com, e.g. at the fake server of the tests
+      client: new hubspot.Client({ accessToken: account.accessToken, basePath: process.env.HUBSPOT_API_BASE }),
+      expirationDate: null,
+      refreshing: null
+    });
+  }
+
+  const clientState = clients.get(key);
+
+  if (!clientState.expirationDate || Date.now() > clientState.expirationDate - REFRESH_MARGIN) {
+    // concurrent callers share one refresh instead of racing each other
+    if (!clientState.refreshing) {
+      clientState.refreshing = refreshAccessToken(domain, account, clientState)
+        .finally(() => {
+          clientState.refreshing = null;
+        });
+    }
+
+    await clientState.refreshing;
+  }
+
+  return clientState.client;
+};
+
+/**
+ * Force a token refresh on the next getHubspotClient call, e.g. after HubSpot answered 401
+ */
+const invalidateAccessToken = (domain, account) => {
+  const clientState = clients.get(getClientKey(domain, account));
+  if (clientState) clientState.expirationDate = null;
+};
+
+module.exports = {
+  getHubspotClient,
+  invalidateAccessToken
+};
@@ -0,0 +1,220 @@
+const { getHubspotClient, invalidateAccessToken } = require('./hubspotClient');
+const logger = require('./logger');
+const { apiRequestDuration, apiRetries, apiRateLimited, getPathLabel } = require('./metrics');
+
+const MAX_TRY_COUNT = 5;
+const MAX_BACKOFF = 30 * 1000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// OAuth apps get 100 requests per 10 seconds per portal until the response headers say otherwise
+const DEFAULT_LIMIT = { max: 100, intervalMs: 10 * 1000 };
+
+// rate limit state per portal, shared by every call made to that portal
+const portalLimits = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const getPortalLimit = hubId => {
+  if (!portalLimits.has(hubId)) {
+    portalLimits.set(hubId, {
+      max: DEFAULT_LIMIT.max,
+      intervalMs: DEFAULT_LIMIT.intervalMs,
+      remaining: DEFAULT_LIMIT.max,
+      resetAt: 0,
+      pausedUntil: 0,
+      dailyLimitResetAt: 0,
+      lock: Promise.resolve()
+    });
+  }
+
+  return portalLimits.get(hubId);
+};
+
+const createRequestError = (message, { status, body, retryable = false }) => {
+  const err = new Error(message);
+  err.status = status;
+  err.body = body;
+  err.retryable = retryable;
+
+  return err;
+};
+
+/**
+ * Wait until the portal has capacity left in its current window and take one request from it.
+ * Reservations are made one at a time, so concurrent calls never overdraw the window.
+ */
+const acquire = hubId => {
+  const limit = getPortalLimit(hubId);
+
+  const reservation = limit.lock.then(async () => {
+    while (true) {
+      const now = Date.now();
+
+      if (limit.dailyLimitResetAt > now) {
+        throw createRequestError(`HubSpot daily limit reached for portal ${hubId}`, { status: 429 });
+      }
+
+      if (limit.pausedUntil > now) {
+        await sleep(limit.pausedUntil - now);
+        continue;
+      }
+
+      if (limit.resetAt <= now) {
+        limit.remaining = limit.max;
+        limit.resetAt = now + limit.intervalMs;
+      }
+
+      if (limit.remaining > 0) {
+        limit.remaining--;
+        return;
+      }
+
+      await sleep(limit.resetAt - now);
+    }
+  });
+
+  limit.lock = reservation.catch(() => {});
+
+  return reservation;
+};
+
+const getNextUTCMidnight = () => {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+
+  return date.valueOf();
+};
+
+/**
+ * Update the portal limits from the X-HubSpot-RateLimit-* response headers
+ */
+const updateLimitFromHeaders = (hubId, headers) => {
+  const limit = getPortalLimit(hubId);
+  const header = name => {
+    const value = headers.get(`x-hubspot-ratelimit-${name}`);
+    return value === null ? NaN : parseInt(value);
+  };
+
+  const secondly = header('secondly');
+  const interval = header('interval-milliseconds');
+  const max = secondly || header('max');
+  const remaining = secondly ? header('secondly-remaining') : header('remaining');
+
+  if (max) {
+    limit.max = max;
+    limit.intervalMs = secondly ? 1000 : (interval || limit.intervalMs);
+    limit.resetAt = Math.min(limit.resetAt, Date.now() + limit.intervalMs);
+  }
+
+  // other calls may already have used part of what the header reports, so never raise the local count
+  if (!isNaN(remaining)) limit.remaining = Math.min(limit.remaining, remaining);
+
+  if (header('daily-remaining') === 0) limit.dailyLimitResetAt = getNextUTCMidnight();
+};
+
+const getRetryDelay = (response, tryCount) => {
+  const retryAfter = parseFloat(response?.headers.get('retry-after'));
+  if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+  return Math.min(1000 * Math.pow(2, tryCount), MAX_BACKOFF);
+};
+
+const parseBody = async response => {
+  const text = await response.text();
+
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (err) {
+    return text;
+  }
+};
+
+/**
+ * Send a request to the HubSpot API of an account and return the parsed body.
+ * Only rate limits, server errors and network failures are retried, an expired token is refreshed once.
+ * onRetry(status) is called before every retry.
+ */
+const hubspotRequest = async (domain, account, { method = 'get', path, qs, body, onRetry }) => {
+  const { hubId } = account;
+  let tokenRefreshed = false;
+
+  for (let tryCount = 1; ; tryCount++) {
+    const hubspotClient = await getHubspotClient(domain, account);
+    await acquire(hubId);
+
+    const observeDuration = apiRequestDuration.startTimer({ method: method.toUpperCase(), path: getPathLabel(path) });
+
+    let response;
+    try {
+      response = await hubspotClient.apiRequest({ method, path, qs, body });
+    } catch (err) {
+      observeDuration({ status: 'network_error' });
+
+      // network failures are retried like server errors
+      if (tryCount >= MAX_TRY_COUNT) throw err;
+
+      apiRetries.inc({ status: 'network_error' });
+      onRetry?.('network_error');
+      logger.warn('retry HubSpot request', { hubId, path, status: 'network_error', tryCount, error: err.message });
+
+      await sleep(getRetryDelay(null, tryCount));
+      continue;
+    }
+
+    observeDuration({ status: `${response.status}` });
+    if (response.status === 429) apiRateLimited.inc();
+
+    updateLimitFromHeaders(hubId, response.headers);
+
+    const responseBody = await parseBody(response);
+
+    if (response.ok) {
+      // a body that isn't JSON would otherwise look like an empty result
+      if (typeof responseBody === 'string') {
+        throw createRequestError(`HubSpot request ${method.toUpperCase()} ${path} returned a malformed body`, {
+          status: response.status,
+          body: responseBody
+        });
+      }
+
+      return responseBody;
+    }
+
+    if (response.status === 401 && !tokenRefreshed) {
+      tokenRefreshed = true;
+      invalidateAccessToken(domain, account);
+      continue;
+    }
+
+    const retryable = RETRYABLE_STATUSES.includes(response.status);
+    if (!retryable || tryCount >= MAX_TRY_COUNT) {
+      throw createRequestError(`HubSpot request ${method.toUpperCase()} ${path} failed with ${response.status}`, {
+        status: response.status,
+        body: responseBody,
+        retryable
+      });
+    }
+
+    const retryDelay = getRetryDelay(response, tryCount);
+    if (response.status === 429) {
+      const limit = getPortalLimit(hubId);
+      limit.pausedUntil = Math.max(limit.pausedUntil, Date.now() + retryDelay);
+    }
+
+    apiRetries.inc({ status: `${response.status}` });
+    onRetry?.(response.status);
+    logger.warn('retry HubSpot request', { hubId, path, status: response.status, tryCount, retryDelay });
+
+    await sleep(retryDelay);
+  }
+};
+
+/**
+ * Bind hubspotRequest to one account, with the options given here applied to every request
+ */
+const createRequest = (domain, account, defaults = {}) => options => hubspotRequest(domain, account, { ...defaults, ...options });
+
+module.exports = {
+  hubspotRequest,
+  createRequest
+};
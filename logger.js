@@ -0,0 +1,23 @@
+/**
+ * JSON logger, one line per entry. Child loggers carry context such as apiKey, hubId, objectType, runId and page.
+ */
+const serializeError = err => ({
+  name: err.name,
+  message: err.message,
+  stack: err.stack,
+  ...(err.status && { status: err.status }),
+  ...(err.body && { body: err.body })
+});
+
+const write = (level, message, fields) => {
+  console.log(JSON.stringify({ time: new Date().toISOString(), level, message, ...fields }));
+};
+
+const createLogger = (context = {}) => ({
+  info: (message, fields = {}) => write('info', message, { ...context, ...fields }),
+  warn: (message, fields = {}) => write('warn', message, { ...context, ...fields }),
+  error: (err, fields = {}) => write('error', err.message, { ...context, ...fields, error: serializeError(err) }),
+  child: fields => createLogger({ ...context, ...fields })
+});
+
+module.exports = createLogger();
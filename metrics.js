@@ -0,0 +1,64 @@
+const client = require('prom-client');
+
+// served by the /metrics route of server.js
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const recordsFetched = new client.Counter({
+  name: 'hubspot_records_fetched_total',
+  help: 'HubSpot records fetched by the sync',
+  labelNames: ['object_type'],
+  registers: [register]
+});
+
+const actionsEmitted = new client.Counter({
+  name: 'hubspot_actions_emitted_total',
+  help: 'Actions emitted by the sync',
+  labelNames: ['object_type'],
+  registers: [register]
+});
+
+const apiRequestDuration = new client.Histogram({
+  name: 'hubspot_api_request_duration_seconds',
+  help: 'Latency of HubSpot API requests, every try counted on its own',
+  labelNames: ['method', 'path', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const apiRetries = new client.Counter({
+  name: 'hubspot_api_retries_total',
+  help: 'Retried HubSpot API requests by the status that caused the retry',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const apiRateLimited = new client.Counter({
+  name: 'hubspot_api_rate_limited_total',
+  help: 'HubSpot API responses with status 429',
+  registers: [register]
+});
+
+const syncDuration = new client.Histogram({
+  name: 'hubspot_sync_duration_seconds',
+  help: 'Duration of the sync of one object type of one account',
+  labelNames: ['object_type', 'status'],
+  buckets: [1, 5, 15, 60, 300, 900, 3600, 4 * 3600],
+  registers: [register]
+});
+
+/**
+ * Path of a request without record and list ids, so every endpoint is one label value
+ */
+const getPathLabel = path => path.replace(/\/\d+(?=\/|$)/g, '/:id');
+
+module.exports = {
+  register,
+  recordsFetched,
+  actionsEmitted,
+  apiRequestDuration,
+  apiRetries,
+  apiRateLimited,
+  syncDuration,
+  getPathLabel
+};
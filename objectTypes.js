@@ -0,0 +1,401 @@
+const _ = require('lodash');
+
+const { filterNullValuesFromObject, getMergedObjectIds, getPropertyTransitions } = require('./utils');
+
+/**
+ * HubSpot object types pulled by the worker, in processing order.
+ *
+ * Every definition is run through the same sync loop in worker.js:
+ * - objectType: CRM object type used in the search and association paths
+ * - objectTypeId: HubSpot's id of the object type, as sent in webhook events
+ * - lastModifiedProperty: property the incremental search window is built on
+ * - properties: properties requested for each record
+ * - associations: object types whose associations are read for every page
+ * - trackedAssociations: associations remembered between runs, so the mapper can see what changed
+ * - reconcileArchived: whether archived records are listed to emit Deleted and Restored actions
+ * - trackMerges: whether merged record ids are remembered between runs, so only new merges become actions
+ * - trackedProperties: default properties whose changes become one action per transition, domains can override them
+ * - historyProperties: properties whose history is read for the mapper itself
+ * - mapRecord: turns a record into the list of actions pushed to the queue
+ *
+ * mapRecord receives the record and a context holding lastPulledDate, changedSince, the
+ * associations by object type as { recordId: [{ id, labels, primary }] }, the
+ * emails of associated contacts, the previously seen ids of tracked associations,
+ * the previously seen merged ids as { recordId: [id] }, the property history as
+ * { recordId: { property: [entry] } } and, for deals, the cached pipelines and stages by id.
+ */
+
+const getAssociatedContactEmails = (record, { associations, contactEmails }) =>
+  (associations.contacts?.[record.id] || [])
+    .map(association => contactEmails[association.id])
+    .filter(email => email);
+
+/**
+ * Ids merged into the record since the previous run, every merged id when the record is seen for the first time
+ */
+const getNewMergedObjectIds = (record, { previousMergedIds }) =>
+  _.difference(getMergedObjectIds(record), previousMergedIds[record.id] || []);
+
+const contacts = {
+  name: 'contacts',
+  label: 'contact',
+  objectType: 'contacts',
+  objectTypeId: '0-1',
+  lastModifiedProperty: 'lastmodifieddate',
+  properties: [
+    'firstname',
+    'lastname',
+    'jobtitle',
+    'email',
+    'hubspotscore',
+    'hs_lead_status',
+    'hs_analytics_source',
+    'hs_latest_source',
+    'hs_merged_object_ids',
+    'hs_additional_emails',
+    'hubspot_owner_id'
+  ],
+  associations: ['companies'],
+  trackedAssociations: ['companies'],
+  reconcileArchived: true,
+  trackMerges: true,
+  trackedProperties: ['hs_lead_status', 'lifecyclestage'],
+  mapRecord: (contact, context) => {
+    const { lastPulledDate, associations, previousAssociations } = context;
+
+    if (!contact.properties || !contact.properties.email) return [];
+
+    const isCreated = new Date(contact.createdAt) > lastPulledDate;
+    const companyAssociations = associations.companies?.[contact.id] || [];
+    const companyIds = companyAssociations.map(association => association.id);
+
+    const userProperties = {
+      company_id: companyIds[0],
+      company_ids: companyIds,
+      company_associations: companyAssociations.map(association => ({
+        company_id: association.id,
+        labels: association.labels,
+        primary: association.primary
+      })),
+      contact_name: ((contact.properties.firstname || '') + ' ' + (contact.properties.lastname || '')).trim(),
+      contact_title: contact.properties.jobtitle,
+      contact_source: contact.properties.hs_analytics_source,
+      contact_status: contact.properties.hs_lead_status,
+      contact_score: parseInt(contact.properties.hubspotscore) || 0
+    };
+
+    const actions = [{
+      actionName: isCreated ? 'Contact Created' : 'Contact Updated',
+      actionDate: new Date(isCreated ? contact.createdAt : contact.updatedAt),
+      includeInAnalytics: 0,
+      identity: contact.properties.email,
+      userProperties: filterNullValuesFromObject(userProperties)
+    }];
+
+    // contacts seen for the first time have nothing to compare against
+    const previousCompanyIds = previousAssociations.companies?.[contact.id];
+    if (previousCompanyIds && !_.isEqual(_.sortBy(previousCompanyIds), _.sortBy(companyIds))) {
+      actions.push({
+        actionName: 'Contact Company Association Changed',
+        actionDate: new Date(contact.updatedAt),
+        includeInAnalytics: 0,
+        identity: contact.properties.email,
+        userProperties: filterNullValuesFromObject({
+          company_id: companyIds[0],
+          company_ids: companyIds,
+          previous_company_id: previousCompanyIds[0],
+          previous_company_ids: previousCompanyIds,
+          added_company_ids: _.difference(companyIds, previousCompanyIds),
+          removed_company_ids: _.difference(previousCompanyIds, companyIds)
+        })
+      });
+    }
+
+    // the absorbed contacts are gone from HubSpot, their emails live on as additional emails of the survivor
+    const mergedContactIds = getNewMergedObjectIds(contact, context);
+    if (mergedContactIds.length) {
+      actions.push({
+        actionName: 'Contact Merged',
+        actionDate: new Date(contact.updatedAt),
+        includeInAnalytics: 0,
+        identity: contact.properties.email,
+        userProperties: {
+          merged_contact_ids: mergedContactIds,
+          merged_emails: (contact.properties.hs_additional_emails || '').split(';').filter(email => email)
+        }
+      });
+    }
+
+    return actions;
+  }
+};
+
+const companies = {
+  name: 'companies',
+  label: 'company',
+  objectType: 'companies',
+  objectTypeId: '0-2',
+  lastModifiedProperty: 'hs_lastmodifieddate',
+  properties: [
+    'name',
+    'domain',
+    'country',
+    'industry',
+    'description',
+    'annualrevenue',
+    'numberofemployees',
+    'hs_lead_status',
+    'hs_merged_object_ids',
+    'hubspot_owner_id'
+  ],
+  associations: [],
+  reconcileArchived: true,
+  trackMerges: true,
+  trackedProperties: ['hs_lead_status', 'lifecyclestage'],
+  mapRecord: (company, context) => {
+    const { lastPulledDate } = context;
+    if (!company.properties) return [];
+
+    const isCreated = !lastPulledDate || new Date(company.createdAt) > lastPulledDate;
+
+    const actions = [{
+      actionName: isCreated ? 'Company Created' : 'Company Updated',
+      actionDate: new Date(isCreated ? company.createdAt : company.updatedAt) - 2000,
+      includeInAnalytics: 0,
+      companyProperties: {
+        company_id: company.id,
+        company_domain: company.properties.domain,
+        company_industry: company.properties.industry
+      }
+    }];
+
+    const mergedCompanyIds = getNewMergedObjectIds(company, context);
+    if (mergedCompanyIds.length) {
+      actions.push({
+        actionName: 'Company Merged',
+        actionDate: new Date(company.updatedAt),
+        includeInAnalytics: 0,
+        companyProperties: {
+          company_id: company.id,
+          merged_company_ids: mergedCompanyIds
+        }
+      });
+    }
+
+    return actions;
+  }
+};
+
+/**
+ * Engagements are logged against contacts, so every engagement becomes one action per associated contact
+ */
+const createEngagementDefinition = ({ name, label, objectTypeId, properties, mapProperties, reconcileArchived = false }) => ({
+  name,
+  label,
+  objectType: name,
+  objectTypeId,
+  lastModifiedProperty: 'hs_lastmodifieddate',
+  properties: [
+    ...properties,
+    'hs_createdate',
+    'hs_lastmodifieddate',
+    'hubspot_owner_id'
+  ],
+  associations: ['contacts'],
+  reconcileArchived,
+  mapRecord: (engagement, context) => {
+    if (!engagement.properties) return [];
+
+    const isCreated = new Date(engagement.properties.hs_createdate) > context.lastPulledDate;
+    const actionName = `${_.capitalize(label)} ${isCreated ? 'Created' : 'Updated'}`;
+    const actionDate = new Date(isCreated ? engagement.properties.hs_createdate : engagement.properties.hs_lastmodifieddate);
+
+    const userProperties = filterNullValuesFromObject(mapProperties(engagement.properties));
+
+    return getAssociatedContactEmails(engagement, context).map(email => ({
+      actionName,
+      actionDate,
+      includeInAnalytics: 0,
+      identity: email,
+      userProperties
+    }));
+  }
+});
+
+const meetings = createEngagementDefinition({
+  name: 'meetings',
+  label: 'meeting',
+  objectTypeId: '0-47',
+  reconcileArchived: true,
+  properties: [
+    'hs_meeting_title',
+    'hs_meeting_start_time',
+    'hs_meeting_end_time'
+  ],
+  mapProperties: properties => ({
+    meeting_title: properties.hs_meeting_title,
+    meeting_start_time: properties.hs_meeting_start_time,
+    meeting_end_time: properties.hs_meeting_end_time
+  })
+});
+
+const calls = createEngagementDefinition({
+  name: 'calls',
+  label: 'call',
+  objectTypeId: '0-48',
+  properties: [
+    'hs_call_title',
+    'hs_call_direction',
+    'hs_call_duration',
+    'hs_call_disposition',
+    'hs_call_status',
+    'hs_timestamp'
+  ],
+  mapProperties: properties => ({
+    call_title: properties.hs_call_title,
+    call_direction: properties.hs_call_direction,
+    call_duration: parseInt(properties.hs_call_duration) || 0,
+    call_disposition: properties.hs_call_disposition,
+    call_status: properties.hs_call_status,
+    call_time: properties.hs_timestamp
+  })
+});
+
+const emails = createEngagementDefinition({
+  name: 'emails',
+  label: 'email',
+  objectTypeId: '0-49',
+  properties: [
+    'hs_email_subject',
+    'hs_email_direction',
+    'hs_email_status',
+    'hs_timestamp'
+  ],
+  mapProperties: properties => ({
+    email_subject: properties.hs_email_subject,
+    email_direction: properties.hs_email_direction,
+    email_status: properties.hs_email_status,
+    email_time: properties.hs_timestamp
+  })
+});
+
+const notes = createEngagementDefinition({
+  name: 'notes',
+  label: 'note',
+  objectTypeId: '0-46',
+  properties: [
+    'hs_timestamp'
+  ],
+  mapProperties: properties => ({ note_time: properties.hs_timestamp })
+});
+
+const tasks = createEngagementDefinition({
+  name: 'tasks',
+  label: 'task',
+  objectTypeId: '0-27',
+  properties: [
+    'hs_task_subject',
+    'hs_task_status',
+    'hs_task_priority',
+    'hs_task_type',
+    'hs_timestamp',
+    'hs_task_completion_date'
+  ],
+  mapProperties: properties => ({
+    task_subject: properties.hs_task_subject,
+    task_status: properties.hs_task_status,
+    task_priority: properties.hs_task_priority,
+    task_type: properties.hs_task_type,
+    task_due_date: properties.hs_timestamp,
+    task_completion_date: properties.hs_task_completion_date
+  })
+});
+
+const deals = {
+  name: 'deals',
+  label: 'deal',
+  objectType: 'deals',
+  objectTypeId: '0-3',
+  lastModifiedProperty: 'hs_lastmodifieddate',
+  properties: [
+    'dealname',
+    'amount',
+    'dealstage',
+    'pipeline',
+    'closedate',
+    'createdate',
+    'hs_lastmodifieddate',
+    'hubspot_owner_id'
+  ],
+  associations: ['contacts', 'companies'],
+  reconcileArchived: true,
+  historyProperties: ['dealstage'],
+  mapRecord: (deal, context) => {
+    if (!deal.properties) return [];
+
+    const { dealPipelines, dealStages } = context;
+    const isCreated = new Date(deal.properties.createdate || deal.createdAt) > context.lastPulledDate;
+    const companyProperties = filterNullValuesFromObject({ company_id: context.associations.companies?.[deal.id]?.[0]?.id });
+
+    const dealProperties = filterNullValuesFromObject({
+      deal_id: deal.id,
+      deal_name: deal.properties.dealname,
+      deal_amount: parseFloat(deal.properties.amount) || 0,
+      deal_stage: deal.properties.dealstage,
+      deal_stage_label: dealStages[deal.properties.dealstage]?.label,
+      deal_pipeline: deal.properties.pipeline,
+      deal_pipeline_label: dealPipelines[deal.properties.pipeline]?.label,
+      deal_close_date: deal.properties.closedate,
+      contact_emails: getAssociatedContactEmails(deal, context)
+    });
+
+    const actions = [{
+      actionName: isCreated ? 'Deal Created' : 'Deal Updated',
+      actionDate: new Date(isCreated ? deal.createdAt : deal.updatedAt),
+      includeInAnalytics: 0,
+      companyProperties,
+      dealProperties
+    }];
+
+    // every stage transition is dated when it happened, closing stages also count as won or lost
+    const stageTransitions = getPropertyTransitions(context.propertyHistory[deal.id]?.dealstage, context.changedSince);
+    stageTransitions.forEach(transition => {
+      const stage = dealStages[transition.value];
+      const stageDealProperties = filterNullValuesFromObject({
+        ...dealProperties,
+        deal_stage: transition.value,
+        deal_stage_label: stage?.label,
+        deal_stage_probability: stage?.probability,
+        previous_deal_stage: transition.oldValue,
+        previous_deal_stage_label: dealStages[transition.oldValue]?.label
+      });
+
+      const stageActionNames = [
+        'Deal Stage Changed',
+        ...(stage?.isWon ? ['Deal Won'] : []),
+        ...(stage?.isLost ? ['Deal Lost'] : [])
+      ];
+
+      stageActionNames.forEach(actionName => actions.push({
+        actionName,
+        actionDate: new Date(transition.timestamp),
+        includeInAnalytics: 0,
+        companyProperties,
+        dealProperties: stageDealProperties
+      }));
+    });
+
+    return actions;
+  }
+};
+
+module.exports = {
+  contacts,
+  companies,
+  meetings,
+  calls,
+  emails,
+  notes,
+  tasks,
+  deals
+};
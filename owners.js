@@ -0,0 +1,60 @@
+const { createRequest } = require('./hubspotRequest');
+const { getStates, setStates } = require('./stateStore');
+const { filterNullValuesFromObject } = require('./utils');
+
+/**
+ * Read the owners of an account and cache them as { ownerId: { name, email, team } }.
+ * Deactivated owners are read as well, their records keep pointing at them.
+ */
+const syncOwners = async (domain, account) => {
+  const request = createRequest(domain, account);
+  const owners = {};
+
+  for (const archived of [false, true]) {
+    let after;
+    do {
+      const page = await request({
+        path: '/crm/v3/owners',
+        qs: { archived, limit: 100, ...(after && { after }) }
+      });
+
+      (page?.results || []).forEach(owner => {
+        const team = (owner.teams || []).find(team => team.primary) || owner.teams?.[0];
+
+        owners[owner.id] = {
+          name: [owner.firstName, owner.lastName].filter(name => name).join(' '),
+          email: owner.email,
+          team: team?.name
+        };
+      });
+
+      after = page?.paging?.next?.after;
+    } while (after);
+  }
+
+  await setStates(domain.customerDBName, account.hubId, 'owners', owners);
+
+  return Object.keys(owners).length;
+};
+
+/**
+ * Get the cached owners with the given ids, as { ownerId: { name, email, team } }
+ */
+const getOwners = (customerDBName, hubId, ownerIds) => getStates(customerDBName, hubId, 'owners', ownerIds);
+
+const getOwnerProperties = (ownerId, owner) => {
+  if (!ownerId) return {};
+
+  return filterNullValuesFromObject({
+    owner_id: ownerId,
+    owner_name: owner?.name,
+    owner_email: owner?.email,
+    owner_team: owner?.team
+  });
+};
+
+module.exports = {
+  syncOwners,
+  getOwners,
+  getOwnerProperties
+};
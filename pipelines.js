@@ -0,0 +1,59 @@
+const { createRequest } = require('./hubspotRequest');
+const { getStates, setStates } = require('./stateStore');
+
+/**
+ * Read the deal pipelines of an account and cache them with their stages.
+ * Pipelines are kept as { pipelineId: { label, displayOrder } } and stages as
+ * { stageId: { label, displayOrder, probability, isClosed, isWon, isLost, pipelineId } }.
+ */
+const syncDealPipelines = async (domain, account) => {
+  const request = createRequest(domain, account);
+  const pipelines = (await request({ path: '/crm/v3/pipelines/deals' }))?.results || [];
+
+  const pipelineStates = {};
+  const stageStates = {};
+
+  pipelines.forEach(pipeline => {
+    pipelineStates[pipeline.id] = {
+      label: pipeline.label,
+      displayOrder: pipeline.displayOrder
+    };
+
+    (pipeline.stages || []).forEach(stage => {
+      // HubSpot sends the stage metadata as strings, e.g. { isClosed: 'true', probability: '1.0' }
+      const probability = parseFloat(stage.metadata?.probability);
+      const isClosed = stage.metadata?.isClosed === 'true';
+
+      stageStates[stage.id] = {
+        label: stage.label,
+        displayOrder: stage.displayOrder,
+        probability: isNaN(probability) ? null : probability,
+        isClosed,
+        isWon: isClosed && probability === 1,
+        isLost: isClosed && probability === 0,
+        pipelineId: pipeline.id
+      };
+    });
+  });
+
+  await setStates(domain.customerDBName, account.hubId, 'dealPipelines', pipelineStates);
+  await setStates(domain.customerDBName, account.hubId, 'dealStages', stageStates);
+
+  return pipelines.length;
+};
+
+/**
+ * Get the cached pipelines with the given ids
+ */
+const getDealPipelines = (customerDBName, hubId, pipelineIds) => getStates(customerDBName, hubId, 'dealPipelines', pipelineIds);
+
+/**
+ * Get the cached stages with the given ids
+ */
+const getDealStages = (customerDBName, hubId, stageIds) => getStates(customerDBName, hubId, 'dealStages', stageIds);
+
+module.exports = {
+  syncDealPipelines,
+  getDealPipelines,
+  getDealStages
+};
@@ -0,0 +1,90 @@
+const Domain = require('./Domain');
+const logger = require('./logger');
+const { needsReencryption } = require('./tokenCrypto');
+const { updateAccountIfUnchanged } = require('./utils');
+
+const TOKEN_PATHS = ['accessToken', 'refreshToken'];
+
+const getStoredToken = (account, path) => account.get(path, null, { getters: false });
+
+const findDomainsWithAccounts = () => Domain.find({ 'integrations.hubspot.accounts.0': { $exists: true } });
+
+/**
+ * Count the stored tokens that are still plaintext or encrypted with an older key
+ */
+const countRemainingTokens = async () => {
+  const domains = await findDomainsWithAccounts();
+
+  return domains
+    .flatMap(domain => domain.integrations.hubspot.accounts)
+    .flatMap(account => TOKEN_PATHS.map(path => getStoredToken(account, path)))
+    .filter(needsReencryption)
+    .length;
+};
+
+/**
+ * Encrypt every stored HubSpot token that is still plaintext or was encrypted with an older key
+ * with the current key of HUBSPOT_TOKEN_KEYS, then count the tokens still left on an older key.
+ * A token is only replaced while it is unchanged, so a token refreshed meanwhile is never written over.
+ * Processes still running with the old keyring write old key tokens again, the old key may only be
+ * removed once remaining is 0.
+ */
+const reencryptTokens = async () => {
+  const domains = await findDomainsWithAccounts();
+  let updated = 0;
+
+  for (const domain of domains) {
+    let changed = false;
+
+    for (const account of domain.integrations.hubspot.accounts) {
+      const paths = TOKEN_PATHS.filter(path => needsReencryption(getStoredToken(account, path)));
+      if (!paths.length) continue;
+
+      const storedTokens = Object.fromEntries(paths.map(path => [path, getStoredToken(account, path)]));
+
+      // the getter decrypts with the key it was encrypted with, the setter encrypts with the current one
+      paths.forEach(path => account.set(path, account.get(path)));
+
+      const result = await updateAccountIfUnchanged(
+        domain,
+        account,
+        Object.fromEntries(paths.map(path => [path, getStoredToken(account, path)])),
+        storedTokens
+      );
+      if (result.modifiedCount) changed = true;
+    }
+
+    if (changed) updated++;
+  }
+
+  return { domains: domains.length, updated, remaining: await countRemainingTokens() };
+};
+
+// node reencryptTokens.js, after every process runs with the new key first in HUBSPOT_TOKEN_KEYS
+if (require.main === module) {
+  const dotenv = require('dotenv');
+  const mongoose = require('mongoose');
+  const path = require('path');
+
+  dotenv.config({ path: path.join(__dirname, '.env') });
+  mongoose.set('strictQuery', false);
+
+  mongoose
+    .connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+    .then(reencryptTokens)
+    .then(result => {
+      logger.info('re-encrypted HubSpot tokens', result);
+
+      if (result.remaining) {
+        logger.warn('tokens are left on an older key, keep it in HUBSPOT_TOKEN_KEYS and run this again', result);
+        process.exitCode = 1;
+      }
+    })
+    .catch(err => {
+      logger.error(err, { operation: 'reencryptTokens' });
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { reencryptTokens };
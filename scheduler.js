@@ -0,0 +1,152 @@
+const Domain = require('./Domain');
+const logger = require('./logger');
+const { getEnabledObjectTypeNames, getLastPulledDate } = require('./customObjects');
+const { syncDomain, requestStop } = require('./worker');
+const { startRun, finishRun, saveFailedSyncRun } = require('./syncStatus');
+
+const TICK_INTERVAL = 60 * 1000;
+const DEFAULT_SYNC_INTERVAL = 60;
+
+// syncs in progress by domain id, a domain is never synced twice at the same time
+const runningSyncs = new Map();
+// when each domain/object type sync was last started, as `${domainId}:${objectTypeName}`
+const lastStartedDates = new Map();
+
+let tickTimer;
+let tickInProgress = false;
+let stopping = false;
+
+const getSyncInterval = (domain, objectTypeName) => {
+  const minutes = domain.integrations.hubspot.syncIntervals?.get(objectTypeName) ||
+    parseInt(process.env.HUBSPOT_SYNC_INTERVAL) ||
+    DEFAULT_SYNC_INTERVAL;
+
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Get the object types of a domain whose interval has passed since they were last pulled
+ */
+const getDueObjectTypes = (domain, now) =>
+  getEnabledObjectTypeNames(domain).filter(objectTypeName => {
+    const interval = getSyncInterval(domain, objectTypeName);
+    const lastStartedDate = lastStartedDates.get(`${domain._id}:${objectTypeName}`);
+
+    if (lastStartedDate && now - lastStartedDate < interval) return false;
+
+    return domain.integrations.hubspot.accounts.some(account =>
+      now - new Date(getLastPulledDate(account, objectTypeName)) >= interval);
+  });
+
+const isSyncRunning = domain => runningSyncs.has(`${domain._id}`);
+
+/**
+ * Log the result of a finished run with one line per account, so a failing domain stands out
+ */
+const logRunResult = (domain, run, result) => {
+  logger.info('domain sync result', {
+    apiKey: domain.apiKey,
+    runId: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    accounts: (result?.accounts || []).map(account => `${account.hubId}: ${account.status} (${account.errors.length} errors)`),
+    errors: run.errors.length
+  });
+};
+
+/**
+ * Sync a domain, optionally only some of its accounts and object types, unless a sync of that domain is still running.
+ * Returns the registered run, or null when the sync was skipped.
+ */
+const runSync = (domain, { objectTypeNames = getEnabledObjectTypeNames(domain), hubIds, trigger = 'schedule' } = {}) => {
+  const domainId = `${domain._id}`;
+
+  if (stopping) return null;
+
+  if (runningSyncs.has(domainId)) {
+    logger.info('skip sync, previous one is still running', { apiKey: domain.apiKey });
+    return null;
+  }
+
+  const now = new Date();
+  objectTypeNames.forEach(objectTypeName => lastStartedDates.set(`${domainId}:${objectTypeName}`, now));
+
+  const run = startRun(domain, { trigger, hubIds, objectTypeNames });
+
+  const sync = syncDomain(domain, { objectTypeNames, hubIds, run })
+    .then(result => logRunResult(domain, finishRun(run, result), result))
+    .catch(async err => {
+      logger.error(err, { apiKey: domain.apiKey, runId: run.id, operation: 'syncDomain' });
+
+      logRunResult(domain, finishRun(run, null, err));
+      await saveFailedSyncRun(domain, { run }, 'syncDomain', err);
+    })
+    .finally(() => runningSyncs.delete(domainId));
+
+  runningSyncs.set(domainId, sync);
+
+  return run;
+};
+
+/**
+ * Wait until the running syncs are finished
+ */
+const waitForRunningSyncs = () => Promise.all(runningSyncs.values());
+
+/**
+ * Start syncs of the enabled domains with due object types, at most HUBSPOT_SYNC_CONCURRENCY at a time
+ */
+const tick = async () => {
+  if (tickInProgress || stopping) return;
+  tickInProgress = true;
+
+  try {
+    const concurrency = parseInt(process.env.HUBSPOT_SYNC_CONCURRENCY) || 1;
+    const domains = await Domain.find({ 'integrations.hubspot.status': true });
+    const now = new Date();
+
+    for (const domain of domains) {
+      if (runningSyncs.size >= concurrency) break;
+      if (isSyncRunning(domain)) continue;
+
+      const dueObjectTypes = getDueObjectTypes(domain, now);
+      if (dueObjectTypes.length) runSync(domain, { objectTypeNames: dueObjectTypes });
+    }
+  } catch (err) {
+    logger.error(err, { operation: 'schedulerTick' });
+  } finally {
+    tickInProgress = false;
+  }
+};
+
+/**
+ * Start running incremental syncs on their intervals
+ */
+const start = () => {
+  logger.info('start HubSpot sync scheduler');
+
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL);
+};
+
+/**
+ * Stop scheduling, let running syncs finish their current page and flush their queue
+ */
+const stop = async () => {
+  logger.info('stop HubSpot sync scheduler', { runningSyncs: runningSyncs.size });
+
+  stopping = true;
+  clearInterval(tickTimer);
+  requestStop();
+
+  await waitForRunningSyncs();
+};
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  runSync,
+  isSyncRunning,
+  waitForRunningSyncs
+};
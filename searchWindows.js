@@ -0,0 +1,119 @@
+// HubSpot search never pages past this many results, whatever the after token says
+const MAX_SEARCH_RESULTS = 10000;
+
+// HubSpot returns dates as ISO strings, filters take milliseconds
+const toTimestamp = value => /^\d+$/.test(`${value}`) ? parseInt(value) : new Date(value).valueOf();
+
+/**
+ * Search filters of the half-open window [windowStart, windowEnd), so no record belongs to two windows.
+ * Past lastObjectId only records with a higher id are returned, for windows of a single timestamp.
+ */
+const generateWindowFilter = ({ windowStart, windowEnd, lastObjectId }, propertyName) => ({
+  filters: [
+    { propertyName, operator: 'GTE', value: `${windowStart.valueOf()}` },
+    { propertyName, operator: 'LT', value: `${windowEnd.valueOf()}` },
+    ...(lastObjectId ? [{ propertyName: 'hs_object_id', operator: 'GT', value: lastObjectId }] : [])
+  ]
+});
+
+/**
+ * Search body of the first page of a window. Windows of a single timestamp are sorted by id, the rest by modification date.
+ * The modification date is always requested, the next search starts from the last one of the page.
+ */
+const generateSearchBody = (page, { lastModifiedProperty, properties, limit }) => ({
+  filterGroups: [generateWindowFilter(page, lastModifiedProperty)],
+  sorts: [{ propertyName: page.lastObjectId ? 'hs_object_id' : lastModifiedProperty, direction: 'ASCENDING' }],
+  properties: [...new Set([...properties, lastModifiedProperty])],
+  limit
+});
+
+/**
+ * Page through every record modified in [start, end).
+ *
+ * Pages are keyed, never offset: the next search starts from the modification date of the last record of a page,
+ * and the records of that date are left for it. A record modified during the sync moves out of the window
+ * without shifting the pages after it, so none is skipped.
+ * A window whose search reports 10,000 or more results is halved until it fits under the cap.
+ * A window of one millisecond that still doesn't fit, or fills a whole page, is paged by id instead:
+ * sorted by hs_object_id and restarted after the last seen id.
+ *
+ * search(page) gets { windowStart, windowEnd, lastObjectId } and resolves to the search response.
+ * onPage(records, cursor) is called after every page with a cursor to resume from, as
+ * { lastModifiedDate, splitEnd, lastObjectId, completed }: everything before lastModifiedDate
+ * is done, the window up to splitEnd (or end) is done up to lastObjectId.
+ * Paging stops early when shouldStop() returns true.
+ */
+const searchModifiedRecords = async ({ search, lastModifiedProperty, start, end, cursor = {}, onPage, shouldStop = () => false }) => {
+  const endDate = new Date(end).valueOf();
+
+  let windowStart = new Date(cursor.lastModifiedDate || start).valueOf();
+  let windowEnd = cursor.splitEnd ? new Date(cursor.splitEnd).valueOf() : endDate;
+  let lastObjectId = cursor.lastObjectId ? `${cursor.lastObjectId}` : undefined;
+
+  const getModifiedDate = record => {
+    const modifiedDate = toTimestamp(record.properties?.[lastModifiedProperty]);
+    if (Number.isNaN(modifiedDate)) throw new Error(`HubSpot search returned a record without ${lastModifiedProperty}`);
+
+    return modifiedDate;
+  };
+
+  while (windowStart < endDate) {
+    if (shouldStop()) return false;
+
+    const searchResult = await search({ windowStart: new Date(windowStart), windowEnd: new Date(windowEnd), lastObjectId });
+    if (!Array.isArray(searchResult?.results)) throw new Error('HubSpot search returned no results list');
+
+    const records = searchResult.results;
+    let pageRecords = records;
+
+    if (!lastObjectId && searchResult.total >= MAX_SEARCH_RESULTS) {
+      if (windowEnd - windowStart > 1) {
+        windowEnd = windowStart + Math.floor((windowEnd - windowStart) / 2);
+      } else {
+        // every record of this window has the same timestamp, hs_object_id starts at 1
+        lastObjectId = '0';
+      }
+
+      continue;
+    }
+
+    const isWindowDone = !records.length || !searchResult.paging?.next;
+    if (lastObjectId) {
+      if (records.length) lastObjectId = `${records[records.length - 1].id}`;
+    } else if (!isWindowDone) {
+      // the records of the last date may go on past this page, the next search starts from that date
+      const lastModifiedDate = getModifiedDate(records[records.length - 1]);
+      pageRecords = records.filter(record => getModifiedDate(record) < lastModifiedDate);
+      windowStart = lastModifiedDate;
+
+      // a full page of one date, that millisecond is paged by id
+      if (!pageRecords.length) {
+        windowEnd = windowStart + 1;
+        lastObjectId = '0';
+
+        continue;
+      }
+    }
+
+    if (isWindowDone) {
+      windowStart = windowEnd;
+      windowEnd = endDate;
+      lastObjectId = undefined;
+    }
+
+    await onPage(pageRecords, {
+      lastModifiedDate: new Date(windowStart),
+      splitEnd: windowEnd < endDate ? new Date(windowEnd) : undefined,
+      lastObjectId,
+      completed: windowStart >= endDate
+    });
+  }
+
+  return true;
+};
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  generateSearchBody,
+  searchModifiedRecords
+};
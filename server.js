@@ -4,6 +4,9 @@ const express = require('express');
 const http = require('http');
 const moment = require('moment');
 
+const logger = require('./logger');
+const { register } = require('./metrics');
+
 const {
   PORT,
   NODE_ENV
@@ -17,10 +20,33 @@ app.locals.moment = moment;
 app.locals.version = process.env.version;
 app.locals.NODE_ENV = NODE_ENV;
 
+// webhooks parse their own body, the signature is computed over the raw payload
+app.use('/webhooks/hubspot', require('./webhooks'));
+
 app.use(bodyParser.urlencoded({ limit: '50mb', extended: false }));
 app.use((req, res, next) => express.json({ limit: '50mb' })(req, res, next));
 app.use(bodyParser.text({ limit: '50mb' }));
 app.use(cookieParser());
 
+// routes
+app.use('/api/hubspot', require('./adminApi'));
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// error handler
+app.use((err, req, res, next) => {
+  logger.error(err, { operation: 'server', path: req.path });
+
+  res.status(500).json({ error: 'Internal server error' });
+});
+
 // listen to connections
 server.listen(PORT);
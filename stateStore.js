@@ -0,0 +1,94 @@
+// require mongoose
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// what the worker remembers about HubSpot records between runs, e.g. the companies of each contact
+const SyncStateSchema = new Schema({
+  hubId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  value: Schema.Types.Mixed
+}, { minimize: false, timestamps: true });
+
+SyncStateSchema.index({ hubId: 1, kind: 1, key: 1 }, { unique: true });
+
+/**
+ * Get the SyncState model bound to the customer's own database
+ */
+const getSyncStateModel = async customerDBName => {
+  const db = mongoose.connection.useDb(customerDBName, { useCache: true });
+
+  if (db.models.SyncState) return db.models.SyncState;
+
+  const SyncState = db.model('SyncState', SyncStateSchema, 'hubspot_sync_states');
+  await SyncState.init();
+
+  return SyncState;
+};
+
+/**
+ * Get the stored values of the given keys, as { key: value }. Keys without a stored value are left out.
+ */
+const getStates = async (customerDBName, hubId, kind, keys) => {
+  if (!keys.length) return {};
+
+  const SyncState = await getSyncStateModel(customerDBName);
+  const states = await SyncState.find({ hubId, kind, key: { $in: keys } }).lean();
+
+  return Object.fromEntries(states.map(state => [state.key, state.value]));
+};
+
+/**
+ * Store values by key, as { key: value }
+ */
+const setStates = async (customerDBName, hubId, kind, values) => {
+  const entries = Object.entries(values);
+  if (!entries.length) return;
+
+  const SyncState = await getSyncStateModel(customerDBName);
+
+  await SyncState.bulkWrite(entries.map(([key, value]) => ({
+    updateOne: {
+      filter: { hubId, kind, key },
+      update: { $set: { value } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Get every stored value of one kind, as { key: value }
+ */
+const getAllStates = async (customerDBName, hubId, kind) => {
+  const SyncState = await getSyncStateModel(customerDBName);
+  const states = await SyncState.find({ hubId, kind }).lean();
+
+  return Object.fromEntries(states.map(state => [state.key, state.value]));
+};
+
+/**
+ * Forget the values of the given keys
+ */
+const deleteStates = async (customerDBName, hubId, kind, keys) => {
+  if (!keys.length) return;
+
+  const SyncState = await getSyncStateModel(customerDBName);
+  await SyncState.deleteMany({ hubId, kind, key: { $in: keys } });
+};
+
+module.exports = {
+  getStates,
+  getAllStates,
+  setStates,
+  deleteStates
+};
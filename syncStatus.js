@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const mongoose = require('mongoose');
+
+const SyncRun = require('./SyncRun');
+const logger = require('./logger');
+
+// runs in progress by run id, their history is kept in SyncRun
+const activeRuns = new Map();
+
+/**
+ * Register a new sync run of a domain
+ */
+const startRun = (domain, { trigger, hubIds, objectTypeNames }) => {
+  const run = {
+    id: crypto.randomUUID(),
+    domainId: `${domain._id}`,
+    trigger,
+    hubIds,
+    objectTypes: objectTypeNames,
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    progress: {},
+    errors: []
+  };
+
+  activeRuns.set(run.id, run);
+
+  return run;
+};
+
+/**
+ * Add the counts of a fetched page to the progress of a run
+ */
+const recordProgress = (run, hubId, objectTypeName, { pages = 0, records = 0, actions = 0 }) => {
+  if (!run) return;
+
+  run.progress[hubId] = run.progress[hubId] || {};
+
+  const progress = run.progress[hubId][objectTypeName] || { pages: 0, records: 0, actions: 0 };
+  progress.pages += pages;
+  progress.records += records;
+  progress.actions += actions;
+
+  run.progress[hubId][objectTypeName] = progress;
+};
+
+/**
+ * Close a run with the result of syncDomain
+ */
+const finishRun = (run, result, err) => {
+  activeRuns.delete(run.id);
+
+  run.finishedAt = new Date();
+  run.errors = err ?
+    [{ operation: 'syncDomain', message: err.message }] :
+    result.accounts.flatMap(account => account.errors.map(error => ({ hubId: account.hubId, ...error })));
+  run.status = run.errors.length ? 'failed' : (result.accounts.some(account => account.stopped) ? 'stopped' : 'succeeded');
+
+  return run;
+};
+
+const getActiveRuns = domainId => [...activeRuns.values()].filter(run => run.domainId === `${domainId}`);
+
+/**
+ * A SyncRun record of one object type of one account, persisted with saveSyncRun
+ */
+const createSyncRun = (domain, { run, hubId, objectType }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  runId: run?.id,
+  domainId: domain._id,
+  apiKey: domain.apiKey,
+  hubId,
+  objectType,
+  trigger: run?.trigger,
+  status: 'running',
+  startedAt: new Date(),
+  pages: 0,
+  records: 0,
+  actions: 0,
+  retries: 0,
+  syncErrors: []
+});
+
+const getSyncError = (err, operation) => ({
+  operation,
+  message: err.message,
+  stack: err.stack,
+  status: Number.isInteger(err.status) ? err.status : undefined
+});
+
+/**
+ * Write a SyncRun record. The history is best effort, a failed write never fails the sync.
+ */
+const saveSyncRun = async syncRun => {
+  try {
+    await SyncRun.updateOne({ _id: syncRun._id }, { $set: _.omitBy(_.omit(syncRun, '_id'), _.isUndefined) }, { upsert: true });
+  } catch (err) {
+    logger.error(err, { apiKey: syncRun.apiKey, hubId: syncRun.hubId, objectType: syncRun.objectType, runId: syncRun.runId, operation: 'saveSyncRun' });
+  }
+};
+
+/**
+ * Record a domain or account sync that failed before reaching its object types
+ */
+const saveFailedSyncRun = (domain, { run, hubId }, operation, err) => saveSyncRun({
+  ...createSyncRun(domain, { run, hubId }),
+  status: 'failed',
+  finishedAt: new Date(),
+  syncErrors: [getSyncError(err, operation)]
+});
+
+/**
+ * Recorded sync runs of a domain with the newest first. Filters that aren't strings are ignored, so query objects never reach MongoDB.
+ * The stack traces of the errors stay in the database, they are not for the customer's eyes.
+ */
+const getSyncRuns = (domainId, { hubId, objectType, status, limit = 20 } = {}) =>
+  SyncRun.find({ domainId, ..._.pickBy({ hubId, objectType, status }, _.isString) })
+    .select('-syncErrors.stack')
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+
+module.exports = {
+  startRun,
+  recordProgress,
+  finishRun,
+  getActiveRuns,
+  createSyncRun,
+  getSyncError,
+  saveSyncRun,
+  saveFailedSyncRun,
+  getSyncRuns
+};
@@ -0,0 +1,189 @@
+const assert = require('assert');
+
+const { MAX_SEARCH_RESULTS, generateSearchBody, searchModifiedRecords } = require('../searchWindows');
+
+const searchOptions = { lastModifiedProperty: 'hs_lastmodifieddate', properties: [], limit: 100 };
+
+/**
+ * Search over in-memory records the way HubSpot does: filters, one sort, opaque after tokens and the 10,000 results cap
+ */
+const createSearch = records => {
+  const calls = [];
+
+  const search = async page => {
+    const body = generateSearchBody(page, searchOptions);
+    calls.push(body);
+
+    const matches = records
+      .filter(record => body.filterGroups[0].filters.every(({ propertyName, operator, value }) => {
+        const recordValue = propertyName === 'hs_object_id' ? parseInt(record.id) : record.properties[propertyName];
+
+        switch (operator) {
+          case 'GTE': return recordValue >= parseInt(value);
+          case 'LT': return recordValue < parseInt(value);
+          case 'GT': return recordValue > parseInt(value);
+          default: throw new Error(`Unexpected operator ${operator}`);
+        }
+      }))
+      .sort((a, b) => body.sorts[0].propertyName === 'hs_object_id' ?
+        parseInt(a.id) - parseInt(b.id) :
+        a.properties.hs_lastmodifieddate - b.properties.hs_lastmodifieddate || parseInt(a.id) - parseInt(b.id));
+
+    const offset = body.after ? parseInt(Buffer.from(body.after, 'base64').toString()) : 0;
+    if (offset + body.limit > MAX_SEARCH_RESULTS) throw new Error('Search past 10,000 results');
+
+    const results = matches.slice(offset, offset + body.limit);
+    const nextOffset = offset + body.limit;
+
+    return {
+      total: matches.length,
+      results,
+      ...(nextOffset < matches.length && { paging: { next: { after: Buffer.from(`${nextOffset}`).toString('base64') } } })
+    };
+  };
+
+  return { search, calls };
+};
+
+const createRecords = timestamps => timestamps.map((timestamp, index) => ({
+  id: `${index + 1}`,
+  properties: { hs_lastmodifieddate: timestamp }
+}));
+
+const collect = async options => {
+  const seenIds = [];
+  const cursors = [];
+
+  const finished = await searchModifiedRecords({
+    ...options,
+    onPage: async (records, cursor) => {
+      seenIds.push(...records.map(record => record.id));
+      cursors.push(cursor);
+    }
+  });
+
+  return { finished, seenIds, cursors };
+};
+
+const assertEachOnce = (seenIds, records) => {
+  assert.strictEqual(new Set(seenIds).size, seenIds.length, 'a record was processed twice');
+  assert.deepStrictEqual([...seenIds].sort(), records.map(record => record.id).sort());
+};
+
+describe('searchModifiedRecords', () => {
+  it('pages through a window under the cap in one pass', async () => {
+    const records = createRecords(Array.from({ length: 250 }, (_, index) => 1000 + index));
+    const { search, calls } = createSearch(records);
+
+    const { finished, seenIds, cursors } = await collect({ search, lastModifiedProperty: 'hs_lastmodifieddate', start: 1000, end: 2000 });
+
+    assert.strictEqual(finished, true);
+    assertEachOnce(seenIds, records);
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(cursors[cursors.length - 1].completed, true);
+  });
+
+  it('does not skip a record when one of an earlier page is modified during the sync', async () => {
+    const records = createRecords(Array.from({ length: 250 }, (_, index) => 1000 + index));
+    const { search, calls } = createSearch(records);
+
+    const seenIds = [];
+    await searchModifiedRecords({
+      search,
+      lastModifiedProperty: 'hs_lastmodifieddate',
+      start: 1000,
+      end: 2000,
+      onPage: async pageRecords => {
+        seenIds.push(...pageRecords.map(record => record.id));
+
+        // modified after the sync started, it moves past the end of the window
+        records[10].properties.hs_lastmodifieddate = 3000;
+      }
+    });
+
+    assertEachOnce(seenIds, records);
+    calls.forEach(body => assert.strictEqual(body.after, undefined));
+  });
+
+  it('keeps the window half-open, a record modified at the end belongs to the next sync', async () => {
+    const records = createRecords([1000, 1500, 2000]);
+    const { search } = createSearch(records);
+
+    const { seenIds } = await collect({ search, lastModifiedProperty: 'hs_lastmodifieddate', start: 1000, end: 2000 });
+
+    assert.deepStrictEqual(seenIds, ['1', '2']);
+  });
+
+  it('halves windows holding 10,000 or more results', async () => {
+    const records = createRecords(Array.from({ length: 25000 }, (_, index) => 1000 + Math.floor(index / 3)));
+    const { search, calls } = createSearch(records);
+
+    const { seenIds } = await collect({ search, lastModifiedProperty: 'hs_lastmodifieddate', start: 0, end: 100000 });
+
+    assertEachOnce(seenIds, records);
+    calls.forEach(body => assert.ok(!body.after || Buffer.from(body.after, 'base64').toString() < MAX_SEARCH_RESULTS));
+  });
+
+  it('pages by id through more than 10,000 records sharing one timestamp', async () => {
+    const timestamps = [
+      ...Array.from({ length: 50 }, (_, index) => 500 + index),
+      ...Array.from({ length: 12345 }, () => 1000),
+      ...Array.from({ length: 50 }, (_, index) => 1001 + index)
+    ];
+    const records = createRecords(timestamps);
+    const { search, calls } = createSearch(records);
+
+    const { seenIds } = await collect({ search, lastModifiedProperty: 'hs_lastmodifieddate', start: 0, end: 5000 });
+
+    assertEachOnce(seenIds, records);
+    assert.ok(calls.some(body => body.sorts[0].propertyName === 'hs_object_id'));
+  });
+
+  it('resumes from any checkpoint without missing or repeating records', async () => {
+    const timestamps = [
+      ...Array.from({ length: 15000 }, (_, index) => 1000 + Math.floor(index / 5)),
+      ...Array.from({ length: 10500 }, () => 9000)
+    ];
+    const records = createRecords(timestamps);
+    const { search } = createSearch(records);
+
+    const seenIds = [];
+    let cursor = {};
+    let pageCount = 0;
+    let finished = false;
+
+    // stop after every 7 pages and resume from the last checkpoint, like a restarted worker
+    while (!finished) {
+      let pagesThisRun = 0;
+
+      finished = await searchModifiedRecords({
+        search,
+        lastModifiedProperty: 'hs_lastmodifieddate',
+        start: 0,
+        end: 10000,
+        cursor,
+        shouldStop: () => pagesThisRun >= 7,
+        onPage: async (records, pageCursor) => {
+          seenIds.push(...records.map(record => record.id));
+          cursor = pageCursor;
+          pagesThisRun++;
+          pageCount++;
+        }
+      });
+    }
+
+    assertEachOnce(seenIds, records);
+    assert.ok(pageCount > 7);
+    assert.strictEqual(cursor.completed, true);
+  });
+
+  it('returns without searching when the cursor is already at the end', async () => {
+    const { search, calls } = createSearch(createRecords([1500]));
+
+    const { finished, seenIds } = await collect({ search, lastModifiedProperty: 'hs_lastmodifieddate', start: 1000, end: 2000, cursor: { lastModifiedDate: new Date(2000) } });
+
+    assert.strictEqual(finished, true);
+    assert.deepStrictEqual(seenIds, []);
+    assert.strictEqual(calls.length, 0);
+  });
+});
@@ -0,0 +1,243 @@
+const http = require('http');
+const _ = require('lodash');
+
+// same cap as HubSpot, after tokens past it are rejected
+const MAX_SEARCH_RESULTS = 10000;
+
+const toTimestamp = value => /^\d+$/.test(`${value}`) ? parseInt(value) : new Date(value).valueOf();
+
+const matchesFilter = (record, { propertyName, operator, value }) => {
+  const recordValue = propertyName === 'hs_object_id' ? parseInt(record.id) : toTimestamp(record.properties[propertyName]);
+  const filterValue = toTimestamp(value);
+
+  switch (operator) {
+    case 'GT': return recordValue > filterValue;
+    case 'GTE': return recordValue >= filterValue;
+    case 'LT': return recordValue < filterValue;
+    case 'LTE': return recordValue <= filterValue;
+    case 'EQ': return recordValue === filterValue;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+const pickProperties = (record, properties) => ({
+  id: record.id,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+  archived: false,
+  properties: Object.fromEntries((properties || []).filter(name => name in record.properties).map(name => [name, record.properties[name]]))
+});
+
+/**
+ * In-process stand-in for the HubSpot API, serving CRM search, batch read, associations and OAuth tokens from fixtures.
+ *
+ * fixtures: { objects: { contacts: [record] }, associations: { 'meetings/contacts': { fromId: [toId] } } }
+ * Records look like HubSpot's: { id, createdAt, updatedAt, properties }.
+ * fixtures.archived lists archived records per object type, as { contacts: [record] } with an archivedAt,
+ * fixtures.lists the lists with their members, as [{ listId, name, objectTypeId, members: { recordId: timestamp } }].
+ *
+ * Failures are queued per request: failNext({ status, headers, body }) answers the next matching requests
+ * with an error, malformNext() with a truncated JSON body, expireAccessToken() rejects the current token with 401.
+ */
+const createFakeHubspot = (fixtures = {}) => {
+  const objects = fixtures.objects || {};
+  const associations = fixtures.associations || {};
+  const archived = fixtures.archived || {};
+  const lists = fixtures.lists || [];
+  const requests = [];
+  const failures = [];
+
+  let tokenCount = 0;
+  let validAccessToken = null;
+  const invalidRefreshTokens = new Set(fixtures.invalidRefreshTokens || []);
+
+  let server;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'content-type': 'application/json',
+      // generous limits, so the request layer never has to wait for a window in tests
+      'x-hubspot-ratelimit-secondly': '1000',
+      'x-hubspot-ratelimit-secondly-remaining': '999',
+      ...headers
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  const issueToken = (res, form) => {
+    if (invalidRefreshTokens.has(form.get('refresh_token'))) {
+      return send(res, 400, { status: 'BAD_REFRESH_TOKEN', message: 'missing or unknown refresh token' });
+    }
+
+    tokenCount++;
+    validAccessToken = `access-token-${tokenCount}`;
+
+    send(res, 200, {
+      token_type: 'bearer',
+      access_token: validAccessToken,
+      refresh_token: `refresh-token-${tokenCount}`,
+      expires_in: 1800
+    });
+  };
+
+  const search = (objectType, body) => {
+    const records = (objects[objectType] || [])
+      .filter(record => (body.filterGroups || []).every(group => group.filters.every(filter => matchesFilter(record, filter))));
+
+    const [sort] = body.sorts || [];
+    if (sort) {
+      records.sort((a, b) => sort.propertyName === 'hs_object_id' ?
+        parseInt(a.id) - parseInt(b.id) :
+        toTimestamp(a.properties[sort.propertyName]) - toTimestamp(b.properties[sort.propertyName]) || parseInt(a.id) - parseInt(b.id));
+    }
+
+    const offset = body.after ? parseInt(Buffer.from(body.after, 'base64').toString()) : 0;
+    const limit = body.limit || 10;
+
+    if (offset + limit > MAX_SEARCH_RESULTS) {
+      return [400, { status: 'error', message: 'Cannot page past 10000 results' }];
+    }
+
+    const nextOffset = offset + limit;
+
+    return [200, {
+      total: records.length,
+      results: records.slice(offset, nextOffset).map(record => pickProperties(record, body.properties)),
+      ...(nextOffset < records.length && { paging: { next: { after: Buffer.from(`${nextOffset}`).toString('base64') } } })
+    }];
+  };
+
+  const batchRead = (objectType, body) => {
+    const recordsById = new Map((objects[objectType] || []).map(record => [record.id, record]));
+
+    return [200, {
+      status: 'COMPLETE',
+      results: body.inputs
+        .filter(input => recordsById.has(input.id))
+        .map(input => {
+          const record = recordsById.get(input.id);
+
+          return {
+            ...pickProperties(record, body.properties),
+            ...(body.propertiesWithHistory && { propertiesWithHistory: {} })
+          };
+        })
+    }];
+  };
+
+  const readAssociations = (fromObjectType, toObjectType, body) => {
+    const associated = associations[`${fromObjectType}/${toObjectType}`] || {};
+
+    return [200, {
+      status: 'COMPLETE',
+      results: body.inputs
+        .filter(input => associated[input.id])
+        .map(input => ({
+          from: { id: input.id },
+          to: associated[input.id].map(toObjectId => ({
+            toObjectId: parseInt(toObjectId),
+            associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 1, label: null }]
+          }))
+        }))
+    }];
+  };
+
+  const listArchived = (objectType, query) => {
+    const records = archived[objectType] || [];
+    const offset = query.after ? parseInt(query.after) : 0;
+    const nextOffset = offset + parseInt(query.limit || 100);
+
+    return [200, {
+      results: records.slice(offset, nextOffset).map(record => ({ ...record, archived: true })),
+      ...(nextOffset < records.length && { paging: { next: { after: `${nextOffset}` } } })
+    }];
+  };
+
+  const readListMemberships = listId => {
+    const list = lists.find(list => `${list.listId}` === listId);
+    if (!list) return [404, { status: 'error', message: `No list ${listId}` }];
+
+    const results = Object.entries(list.members).map(([recordId, membershipTimestamp]) => ({ recordId, membershipTimestamp }));
+
+    return [200, { results }];
+  };
+
+  const route = (method, path, body, query) => {
+    let match;
+
+    if (method === 'POST' && (match = path.match(/^\/crm\/v3\/objects\/([^/]+)\/search$/))) return search(match[1], body);
+    if (method === 'POST' && (match = path.match(/^\/crm\/v3\/objects\/([^/]+)\/batch\/read$/))) return batchRead(match[1], body);
+    if (method === 'POST' && (match = path.match(/^\/crm\/v4\/associations\/([^/]+)\/([^/]+)\/batch\/read$/))) {
+      return readAssociations(match[1], match[2], body);
+    }
+    if (method === 'GET' && (match = path.match(/^\/crm\/v3\/objects\/([^/]+)$/))) return listArchived(match[1], query);
+    if (method === 'GET' && ['/crm/v3/owners', '/crm/v3/pipelines/deals', '/crm/v3/schemas'].includes(path)) return [200, { results: [] }];
+    if (method === 'POST' && path === '/crm/v3/lists/search') {
+      return [200, { lists: lists.map(list => _.omit(list, 'members')), hasMore: false, offset: lists.length }];
+    }
+    if (method === 'GET' && (match = path.match(/^\/crm\/v3\/lists\/([^/]+)\/memberships$/))) return readListMemberships(match[1]);
+
+    return [404, { status: 'error', message: `No fake for ${method} ${path}` }];
+  };
+
+  const handle = (req, res, rawBody) => {
+    const url = new URL(req.url, 'http://localhost');
+    const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) };
+    requests.push(request);
+
+    if (url.pathname === '/oauth/v1/token') return issueToken(res, new URLSearchParams(rawBody));
+
+    const failureIndex = failures.findIndex(failure => !failure.path || failure.path.test(url.pathname));
+    if (failureIndex !== -1) {
+      const [failure] = failures.splice(failureIndex, 1);
+      if (failure.malformed) return send(res, 200, '{"results": [{"id": "1", "properti');
+
+      return send(res, failure.status, failure.body || { status: 'error' }, failure.headers);
+    }
+
+    if (req.headers.authorization !== `Bearer ${validAccessToken}`) {
+      return send(res, 401, { status: 'error', category: 'EXPIRED_AUTHENTICATION', message: 'The OAuth token used to make this call expired' });
+    }
+
+    const body = rawBody ? JSON.parse(rawBody) : {};
+    request.body = body;
+
+    const [status, responseBody] = route(req.method, url.pathname, body, request.query);
+    send(res, status, responseBody);
+  };
+
+  return {
+    requests,
+
+    /**
+     * Start listening on a free port and resolve to the base url
+     */
+    start: () => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString()));
+      });
+
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+
+    stop: () => new Promise(resolve => server.close(resolve)),
+
+    failNext: ({ count = 1, path, status = 500, headers, body } = {}) => {
+      for (let index = 0; index < count; index++) failures.push({ path, status, headers, body });
+    },
+
+    malformNext: ({ count = 1, path } = {}) => {
+      for (let index = 0; index < count; index++) failures.push({ path, malformed: true });
+    },
+
+    expireAccessToken: () => {
+      validAccessToken = null;
+    },
+
+    getTokenCount: () => tokenCount
+  };
+};
+
+module.exports = { createFakeHubspot };
@@ -0,0 +1,95 @@
+const _ = require('lodash');
+
+const actionStore = require('../../actionStore');
+const Domain = require('../../Domain');
+const stateStore = require('../../stateStore');
+const SyncRun = require('../../SyncRun');
+
+/**
+ * In-memory stand-ins for the customer databases, the Domain updates and the SyncRun history, installed before the worker is required.
+ * Actions keep the unique key of actionStore.js, so duplicates are skipped as they would be in MongoDB.
+ */
+const actions = new Map();
+const states = new Map();
+const syncRuns = new Map();
+const domainUpdates = [];
+let failingInserts = { count: 0, match: () => true };
+
+const getActionKey = (customerDBName, action) =>
+  JSON.stringify([customerDBName, action.objectId, action.actionName, new Date(action.actionDate).valueOf(), action.identity]);
+
+const getStateKey = (customerDBName, hubId, kind, key) => JSON.stringify([customerDBName, hubId, kind, `${key}`]);
+
+actionStore.insertActions = async (customerDBName, newActions) => {
+  if (failingInserts.count > 0 && failingInserts.match(newActions)) {
+    failingInserts.count--;
+    throw new Error('insert failed');
+  }
+
+  let inserted = 0;
+
+  newActions.forEach(action => {
+    const key = getActionKey(customerDBName, action);
+    if (actions.has(key)) return;
+
+    actions.set(key, { customerDBName, ...action });
+    inserted++;
+  });
+
+  return { inserted, skipped: newActions.length - inserted };
+};
+
+stateStore.getStates = async (customerDBName, hubId, kind, keys) => Object.fromEntries(keys
+  .filter(key => states.has(getStateKey(customerDBName, hubId, kind, key)))
+  .map(key => [key, states.get(getStateKey(customerDBName, hubId, kind, key))]));
+
+stateStore.getAllStates = async (customerDBName, hubId, kind) => {
+  const prefix = getStateKey(customerDBName, hubId, kind, '').slice(0, -3);
+
+  return Object.fromEntries([...states.entries()]
+    .filter(([stateKey]) => stateKey.startsWith(prefix))
+    .map(([stateKey, value]) => [JSON.parse(stateKey)[3], value]));
+};
+
+stateStore.setStates = async (customerDBName, hubId, kind, values) => {
+  Object.entries(values).forEach(([key, value]) => states.set(getStateKey(customerDBName, hubId, kind, key), value));
+};
+
+stateStore.deleteStates = async (customerDBName, hubId, kind, keys) => {
+  keys.forEach(key => states.delete(getStateKey(customerDBName, hubId, kind, key)));
+};
+
+// the Domain documents themselves live in the tests, only the updates are recorded as they would reach MongoDB
+Domain.updateOne = async (filter, update) => {
+  // the model casts the filter, running the schema setters on it
+  domainUpdates.push({ filter: _.cloneDeep(Domain.where(filter).cast(Domain)), update: _.cloneDeep(update) });
+
+  return { matchedCount: 1, modifiedCount: 1 };
+};
+
+Domain.collection.updateOne = async (filter, update) => {
+  domainUpdates.push({ filter: _.cloneDeep(filter), update: _.cloneDeep(update) });
+
+  return { matchedCount: 1, modifiedCount: 1 };
+};
+
+SyncRun.updateOne = async ({ _id }, { $set }) => {
+  syncRuns.set(`${_id}`, { ...syncRuns.get(`${_id}`), ..._.cloneDeep($set) });
+};
+
+module.exports = {
+  getActions: customerDBName => [...actions.values()].filter(action => action.customerDBName === customerDBName),
+  // the next count inserts whose actions match throw, as if the customer database were down
+  failInserts: (count, match = () => true) => {
+    failingInserts = { count, match };
+  },
+  getDomainUpdates: domainId => domainUpdates.filter(({ filter }) => `${filter._id}` === `${domainId}`),
+  getSyncRuns: domainId => [...syncRuns.values()].filter(syncRun => `${syncRun.domainId}` === `${domainId}`),
+  reset: () => {
+    actions.clear();
+    states.clear();
+    syncRuns.clear();
+    domainUpdates.splice(0);
+    failingInserts = { count: 0, match: () => true };
+  }
+};
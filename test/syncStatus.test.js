@@ -0,0 +1,19 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { getSyncRuns } = require('../syncStatus');
+
+describe('getSyncRuns', () => {
+  const domainId = new mongoose.Types.ObjectId();
+
+  it('leaves the error stack traces out', () => {
+    assert.deepStrictEqual(getSyncRuns(domainId).projection(), { 'syncErrors.stack': 0 });
+  });
+
+  it('filters by the string filters only', () => {
+    const query = getSyncRuns(domainId, { hubId: '100', status: { $ne: 'failed' }, limit: 5 });
+
+    assert.deepStrictEqual(query.getFilter(), { domainId, hubId: '100' });
+    assert.strictEqual(query.getOptions().limit, 5);
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+// the stores must be replaced before utils.js binds them
+const memoryStores = require('./support/memoryStores');
+const Domain = require('../Domain');
+const { encryptToken, decryptToken, getKeyId, needsReencryption } = require('../tokenCrypto');
+const { reencryptTokens } = require('../reencryptTokens');
+
+const createKey = id => `${id}:${crypto.randomBytes(32).toString('base64')}`;
+
+describe('token encryption', () => {
+  const oldKey = createKey('old');
+  const newKey = createKey('new');
+  let keys;
+
+  before(() => {
+    keys = process.env.HUBSPOT_TOKEN_KEYS;
+  });
+
+  beforeEach(() => {
+    process.env.HUBSPOT_TOKEN_KEYS = oldKey;
+  });
+
+  after(() => {
+    if (keys === undefined) {
+      delete process.env.HUBSPOT_TOKEN_KEYS;
+    } else {
+      process.env.HUBSPOT_TOKEN_KEYS = keys;
+    }
+  });
+
+  it('encrypts with a fresh iv every time and decrypts back', () => {
+    const first = encryptToken('access-token');
+    const second = encryptToken('access-token');
+
+    assert.notStrictEqual(first, second);
+    assert.ok(!first.includes('access-token'));
+    assert.strictEqual(getKeyId(first), 'old');
+    assert.strictEqual(decryptToken(first), 'access-token');
+    assert.strictEqual(encryptToken(first), first);
+  });
+
+  it('reads plaintext stored before encryption was enabled', () => {
+    assert.strictEqual(decryptToken('plain-token'), 'plain-token');
+    assert.strictEqual(decryptToken(undefined), undefined);
+  });
+
+  it('decrypts with older keys after a rotation and encrypts with the new one', () => {
+    const encrypted = encryptToken('refresh-token');
+    process.env.HUBSPOT_TOKEN_KEYS = `${newKey},${oldKey}`;
+
+    assert.strictEqual(decryptToken(encrypted), 'refresh-token');
+    assert.ok(needsReencryption(encrypted));
+    assert.ok(needsReencryption('plain-token'));
+    assert.strictEqual(getKeyId(encryptToken('refresh-token')), 'new');
+    assert.ok(!needsReencryption(encryptToken('refresh-token')));
+  });
+
+  it('rejects tampered tokens, unknown keys and a missing keyring', () => {
+    const [prefix, id, iv, tag, ciphertext] = encryptToken('access-token').split(':');
+    const tampered = [prefix, id, iv, tag, Buffer.from('another-token').toString('base64')].join(':');
+    assert.throws(() => decryptToken(tampered));
+
+    process.env.HUBSPOT_TOKEN_KEYS = newKey;
+    assert.throws(() => decryptToken([prefix, id, iv, tag, ciphertext].join(':')), /not in HUBSPOT_TOKEN_KEYS/);
+
+    process.env.HUBSPOT_TOKEN_KEYS = '';
+    assert.throws(() => encryptToken('access-token'), /HUBSPOT_TOKEN_KEYS is not set/);
+
+    process.env.HUBSPOT_TOKEN_KEYS = 'short:c2hvcnQ=';
+    assert.throws(() => encryptToken('access-token'), /32 byte key/);
+  });
+
+  it('stores the Domain account tokens encrypted and reads them as plaintext', () => {
+    const domain = new Domain({ integrations: { hubspot: { accounts: [{ hubId: '1', accessToken: 'access-token', refreshToken: 'refresh-token' }] } } });
+    const [account] = domain.integrations.hubspot.accounts;
+
+    assert.strictEqual(account.accessToken, 'access-token');
+    assert.strictEqual(getKeyId(account.get('accessToken', null, { getters: false })), 'old');
+    assert.strictEqual(getKeyId(domain.toObject().integrations.hubspot.accounts[0].refreshToken), 'old');
+  });
+
+  describe('reencryptTokens', () => {
+    const find = Domain.find;
+
+    afterEach(() => {
+      Domain.find = find;
+    });
+
+    it('encrypts plaintext and old key tokens with the current key', async () => {
+      const rotated = new Domain({ integrations: { hubspot: { accounts: [{ hubId: '1', accessToken: 'access-token', refreshToken: 'refresh-token' }] } } });
+
+      // tokens stored before encryption was enabled are loaded as they are
+      const legacy = new Domain();
+      legacy.init({ integrations: { hubspot: { accounts: [{ hubId: '2', accessToken: 'plain-access', refreshToken: 'plain-refresh' }] } } });
+
+      const storedTokens = [rotated, legacy].map(domain => ({
+        accessToken: domain.integrations.hubspot.accounts[0].get('accessToken', null, { getters: false }),
+        refreshToken: domain.integrations.hubspot.accounts[0].get('refreshToken', null, { getters: false })
+      }));
+
+      process.env.HUBSPOT_TOKEN_KEYS = `${newKey},${oldKey}`;
+      const current = new Domain({ integrations: { hubspot: { accounts: [{ hubId: '3', accessToken: 'current-access' }] } } });
+
+      memoryStores.reset();
+      Domain.find = async () => [rotated, legacy, current];
+
+      assert.deepStrictEqual(await reencryptTokens(), { domains: 3, updated: 2, remaining: 0 });
+      assert.strictEqual(memoryStores.getDomainUpdates(current._id).length, 0);
+
+      // only the token fields are written, in place
+      [rotated, legacy].forEach((domain, index) => {
+        const [{ filter, update }] = memoryStores.getDomainUpdates(domain._id);
+        const fields = update.$set;
+
+        // the tokens are replaced only while they are still the ones that were read, plaintext included,
+        // so the filter must reach MongoDB without the token setters encrypting it
+        assert.deepStrictEqual(_.pick(filter['integrations.hubspot.accounts'].$elemMatch, ['accessToken', 'refreshToken']), storedTokens[index]);
+
+        assert.deepStrictEqual(Object.keys(fields).sort(), ['integrations.hubspot.accounts.$.accessToken', 'integrations.hubspot.accounts.$.refreshToken']);
+        assert.strictEqual(getKeyId(fields['integrations.hubspot.accounts.$.accessToken']), 'new');
+        assert.strictEqual(decryptToken(fields['integrations.hubspot.accounts.$.refreshToken']), domain.integrations.hubspot.accounts[0].refreshToken);
+      });
+
+      const accounts = [rotated, legacy].flatMap(domain => domain.integrations.hubspot.accounts);
+      assert.deepStrictEqual(accounts.map(account => [account.accessToken, account.refreshToken]), [
+        ['access-token', 'refresh-token'],
+        ['plain-access', 'plain-refresh']
+      ]);
+      accounts.forEach(account => {
+        assert.strictEqual(getKeyId(account.get('accessToken', null, { getters: false })), 'new');
+        assert.strictEqual(getKeyId(account.get('refreshToken', null, { getters: false })), 'new');
+      });
+    });
+
+    it('counts the tokens left on an older key, e.g. written by a process with the old keyring', async () => {
+      const oldKeyAccount = { hubId: '1', accessToken: encryptToken('access-token'), refreshToken: encryptToken('refresh-token') };
+      process.env.HUBSPOT_TOKEN_KEYS = `${newKey},${oldKey}`;
+
+      // every read finds the old key tokens again, as if they were written back meanwhile
+      Domain.find = async () => {
+        const domain = new Domain();
+        domain.init({ integrations: { hubspot: { accounts: [oldKeyAccount] } } });
+
+        return [domain];
+      };
+
+      assert.deepStrictEqual(await reencryptTokens(), { domains: 1, updated: 1, remaining: 2 });
+    });
+  });
+});
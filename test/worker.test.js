@@ -0,0 +1,548 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const _ = require('lodash');
+const moment = require('moment');
+
+// the stores must be replaced before the worker binds them
+const memoryStores = require('./support/memoryStores');
+const { createFakeHubspot } = require('./support/fakeHubspot');
+const Domain = require('../Domain');
+const stateStore = require('../stateStore');
+const metrics = require('../metrics');
+const objectTypes = require('../objectTypes');
+const scheduler = require('../scheduler');
+const { getCustomObjectDefinitions } = require('../customObjects');
+const { syncDomain, mapRecordsToActions, getRecordStatusAction } = require('../worker');
+const { isEncrypted, decryptToken } = require('../tokenCrypto');
+
+// the Domain model encrypts the account tokens
+process.env.HUBSPOT_TOKEN_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const lastPulledDate = moment().subtract(1, 'day');
+const createdAt = lastPulledDate.clone().add(1, 'hour').toISOString();
+const modifiedAt = lastPulledDate.clone().add(2, 'hour').toISOString();
+
+const fixtures = {
+  objects: {
+    contacts: [
+      { id: '1', createdAt, updatedAt: modifiedAt, properties: { email: 'ada@example.com', firstname: 'Ada', lastmodifieddate: modifiedAt } },
+      { id: '2', createdAt: '2020-01-01T00:00:00.000Z', updatedAt: modifiedAt, properties: { email: 'bob@example.com', lastmodifieddate: modifiedAt } },
+      { id: '3', createdAt, updatedAt: modifiedAt, properties: { firstname: 'No email', lastmodifieddate: modifiedAt } }
+    ],
+    companies: [
+      { id: '10', createdAt, updatedAt: modifiedAt, properties: { name: 'Acme', domain: 'acme.com', hs_lastmodifieddate: modifiedAt } },
+      { id: '11', createdAt: '2020-01-01T00:00:00.000Z', updatedAt: modifiedAt, properties: { name: 'Old', hs_lastmodifieddate: modifiedAt } }
+    ],
+    meetings: [
+      {
+        id: '20',
+        createdAt,
+        updatedAt: modifiedAt,
+        properties: { hs_meeting_title: 'Demo', hs_createdate: createdAt, hs_lastmodifieddate: modifiedAt }
+      }
+    ]
+  },
+  associations: {
+    'contacts/companies': { 1: ['10'] },
+    'meetings/contacts': { 20: ['1', '2'] }
+  },
+  invalidRefreshTokens: ['revoked-refresh-token']
+};
+
+let domainCount = 0;
+
+const createDomain = ({ refreshToken = 'refresh-token', hubId = '100' } = {}) => {
+  domainCount++;
+
+  const domain = new Domain({
+    apiKey: `api-key-${domainCount}`,
+    customerDBName: `customer-${domainCount}`,
+    company: { name: 'Test', website: 'test.com' },
+    integrations: {
+      hubspot: {
+        status: true,
+        accounts: [{
+          hubId,
+          accessToken: 'stale-access-token',
+          refreshToken,
+          lastPulledDates: Object.fromEntries(['contacts', 'companies', 'deals', 'meetings', 'calls', 'emails', 'notes', 'tasks']
+            .map(name => [name, lastPulledDate.toDate()]))
+        }]
+      }
+    }
+  });
+
+  return domain;
+};
+
+const getMetricValue = async (metric, labels = {}) => {
+  const { values } = await metric.get();
+
+  return values
+    .filter(value => Object.entries(labels).every(([name, label]) => value.labels[name] === label))
+    .reduce((sum, value) => sum + value.value, 0);
+};
+
+const getActionNames = actions => actions.map(action => `${action.objectId} ${action.actionName} ${action.identity || ''}`.trim()).sort();
+
+describe('worker against the fake HubSpot API', function () {
+  this.timeout(60 * 1000);
+
+  let hubspot;
+  const log = console.log;
+
+  // the worker logs every page and every expected failure
+  before(() => {
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = log;
+  });
+
+  beforeEach(async () => {
+    memoryStores.reset();
+
+    hubspot = createFakeHubspot(fixtures);
+    process.env.HUBSPOT_API_BASE = await hubspot.start();
+  });
+
+  afterEach(async () => {
+    await hubspot.stop();
+    delete process.env.HUBSPOT_API_BASE;
+  });
+
+  describe('contacts', () => {
+    it('emits Created and Updated actions with company associations and advances lastPulledDates', async () => {
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+
+      const actions = memoryStores.getActions(domain.customerDBName);
+      assert.deepStrictEqual(getActionNames(actions), [
+        '1 Contact Created ada@example.com',
+        '2 Contact Updated bob@example.com'
+      ]);
+
+      const ada = actions.find(action => action.objectId === '1');
+      assert.strictEqual(ada.userProperties.company_id, '10');
+      assert.strictEqual(ada.userProperties.contact_name, 'Ada');
+
+      const account = domain.integrations.hubspot.accounts[0];
+      assert.ok(account.lastPulledDates.contacts > lastPulledDate.toDate());
+      assert.strictEqual(account.syncCursors.size, 0);
+
+      const [syncRun] = memoryStores.getSyncRuns(domain._id);
+      assert.deepStrictEqual(_.pick(syncRun, ['hubId', 'objectType', 'status', 'pages', 'records', 'actions', 'retries']), {
+        hubId: '100',
+        objectType: 'contacts',
+        status: 'succeeded',
+        pages: 1,
+        records: 3,
+        actions: 2,
+        retries: 0
+      });
+      assert.strictEqual(syncRun.windowStart.valueOf(), lastPulledDate.valueOf());
+      assert.strictEqual(syncRun.windowEnd.valueOf(), account.lastPulledDates.contacts.valueOf());
+      assert.ok(syncRun.finishedAt >= syncRun.startedAt);
+      assert.deepStrictEqual(syncRun.syncErrors, []);
+    });
+
+    it('reports property changes only of contacts with an email', async () => {
+      const domain = createDomain();
+      const history = [{ value: 'NEW', timestamp: '2020-01-01T00:00:00.000Z' }, { value: 'OPEN', timestamp: modifiedAt }];
+      const results = ['2', '3'].map(id => ({ id, propertiesWithHistory: { hs_lead_status: history } }));
+      const request = async ({ body }) => ({ results: body?.propertiesWithHistory ? results : [] });
+      const [, bob, noEmail] = fixtures.objects.contacts;
+
+      const { actions } = await mapRecordsToActions(request, objectTypes.contacts, [bob, noEmail], { domain, hubId: '100', lastPulledDate: lastPulledDate.toDate() });
+
+      assert.deepStrictEqual(getActionNames(actions), [
+        '2 Contact Updated bob@example.com',
+        '2 Contact hs_lead_status Changed bob@example.com'
+      ]);
+    });
+
+    it('does not store an action twice when the same window is pulled again', async () => {
+      const domain = createDomain();
+      const account = domain.integrations.hubspot.accounts[0];
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      account.lastPulledDates.contacts = lastPulledDate.toDate();
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(memoryStores.getActions(domain.customerDBName).length, 2);
+    });
+  });
+
+  describe('companies', () => {
+    it('emits Created and Updated actions with the company properties', async () => {
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['companies'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+
+      const actions = memoryStores.getActions(domain.customerDBName);
+      assert.deepStrictEqual(getActionNames(actions), ['10 Company Created', '11 Company Updated']);
+      assert.deepStrictEqual(actions.find(action => action.objectId === '10').companyProperties, {
+        company_id: '10',
+        company_domain: 'acme.com',
+        company_industry: undefined
+      });
+    });
+  });
+
+  describe('meetings', () => {
+    it('emits one action per associated contact', async () => {
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['meetings'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+
+      const actions = memoryStores.getActions(domain.customerDBName);
+      assert.deepStrictEqual(getActionNames(actions), [
+        '20 Meeting Created ada@example.com',
+        '20 Meeting Created bob@example.com'
+      ]);
+      assert.strictEqual(actions[0].userProperties.meeting_title, 'Demo');
+    });
+  });
+
+  describe('paging', () => {
+    it('pulls more than 10,000 records, many sharing a timestamp, each exactly once', async () => {
+      const start = lastPulledDate.valueOf();
+      const contacts = Array.from({ length: 10500 }, (_, index) => {
+        // most records share a handful of timestamps, the rest are spread over the window
+        const timestamp = new Date(index < 8000 ? start + 1000 * (index % 3) : start + 60 * 1000 + index).toISOString();
+
+        return { id: `${index + 1}`, createdAt: timestamp, updatedAt: timestamp, properties: { email: `${index + 1}@example.com`, lastmodifieddate: timestamp } };
+      });
+
+      await hubspot.stop();
+      hubspot = createFakeHubspot({ objects: { contacts } });
+      process.env.HUBSPOT_API_BASE = await hubspot.start();
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+
+      const actions = memoryStores.getActions(domain.customerDBName);
+      assert.strictEqual(actions.length, 10500);
+      assert.strictEqual(new Set(actions.map(action => action.objectId)).size, 10500);
+    });
+  });
+
+  describe('deals', () => {
+    it('reports a tracked dealstage transition once, as Deal Stage Changed', async () => {
+      const domain = createDomain();
+      domain.integrations.hubspot.trackedProperties = { deals: ['dealstage', 'amount'] };
+
+      const propertiesWithHistory = {
+        dealstage: [{ value: 'appointmentscheduled', timestamp: '2020-01-01T00:00:00.000Z' }, { value: 'closedwon', timestamp: modifiedAt }],
+        amount: [{ value: '10', timestamp: '2020-01-01T00:00:00.000Z' }, { value: '20', timestamp: modifiedAt }]
+      };
+      const request = async ({ body }) => ({ results: body?.propertiesWithHistory ? [{ id: '30', propertiesWithHistory }] : [] });
+      const deal = { id: '30', createdAt: '2020-01-01T00:00:00.000Z', updatedAt: modifiedAt, properties: { dealstage: 'closedwon', amount: '20' } };
+
+      const { actions } = await mapRecordsToActions(request, objectTypes.deals, [deal], { domain, hubId: '100', lastPulledDate: lastPulledDate.toDate() });
+
+      assert.deepStrictEqual(actions.map(action => action.actionName).sort(), ['Deal Stage Changed', 'Deal Updated', 'Deal amount Changed']);
+    });
+  });
+
+  describe('custom objects', () => {
+    it('spells the actions of a multi-word label the same way', async () => {
+      const domain = createDomain();
+      domain.integrations.hubspot.trackedProperties = { car_listings: ['price'] };
+
+      const schema = { name: 'car_listings', objectTypeId: '2-100', labels: { singular: 'Car Listing' }, primaryDisplayProperty: 'title' };
+      const { car_listings: definition } = await getCustomObjectDefinitions(async () => ({ results: [schema] }), ['car_listings']);
+
+      const history = [{ value: '100', timestamp: '2020-01-01T00:00:00.000Z' }, { value: '90', timestamp: modifiedAt }];
+      const request = async ({ body }) => ({ results: body?.propertiesWithHistory ? [{ id: '40', propertiesWithHistory: { price: history } }] : [] });
+      const record = { id: '40', createdAt: '2020-01-01T00:00:00.000Z', updatedAt: modifiedAt, properties: { title: 'Roadster', price: '90' } };
+
+      const { actions } = await mapRecordsToActions(request, definition, [record], { domain, hubId: '100', lastPulledDate: lastPulledDate.toDate() });
+
+      assert.deepStrictEqual(actions.map(action => action.actionName).sort(), ['Car Listing Updated', 'Car Listing price Changed']);
+      assert.strictEqual(getRecordStatusAction(definition, record, 'Deleted', modifiedAt).actionName, 'Car Listing Deleted');
+    });
+  });
+
+  describe('archived records', () => {
+    it('persists deletions page by page, so a failed page keeps the progress of the ones before', async () => {
+      const archived = Array.from({ length: 150 }, (_, index) => ({
+        id: `${index + 1}`,
+        createdAt,
+        updatedAt: modifiedAt,
+        archivedAt: modifiedAt,
+        properties: { email: `${index + 1}@example.com` }
+      }));
+
+      await hubspot.stop();
+      hubspot = createFakeHubspot({ ...fixtures, archived: { contacts: archived } });
+      process.env.HUBSPOT_API_BASE = await hubspot.start();
+
+      memoryStores.failInserts(1, actions => actions.some(action => action.objectId === '150'));
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'failed');
+      assert.deepStrictEqual(result.accounts[0].errors.map(error => error.operation), ['reconcileArchivedRecords']);
+
+      const deleted = memoryStores.getActions(domain.customerDBName).filter(action => action.actionName === 'Contact Deleted');
+      const archivedStates = await stateStore.getAllStates(domain.customerDBName, '100', 'contacts.archived');
+      assert.strictEqual(deleted.length, 100);
+      assert.deepStrictEqual(Object.keys(archivedStates).sort(), deleted.map(action => action.objectId).sort());
+    });
+  });
+
+  describe('list memberships', () => {
+    it('persists each list on its own, so a failed list keeps the progress of the others', async () => {
+      await hubspot.stop();
+      hubspot = createFakeHubspot({
+        ...fixtures,
+        lists: [
+          { listId: 1, name: 'Customers', objectTypeId: '0-1', members: { 1: createdAt } },
+          { listId: 2, name: 'Leads', objectTypeId: '0-1', members: { 2: createdAt } }
+        ]
+      });
+      process.env.HUBSPOT_API_BASE = await hubspot.start();
+
+      memoryStores.failInserts(1, actions => actions.some(action => action.objectId === '2:2'));
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'failed');
+      assert.deepStrictEqual(result.accounts[0].errors.map(error => error.operation), ['syncListMemberships']);
+      assert.deepStrictEqual(getActionNames(memoryStores.getActions(domain.customerDBName)).filter(name => name.includes('List')), [
+        '1:1 Added To List ada@example.com'
+      ]);
+      assert.deepStrictEqual(Object.keys(await stateStore.getAllStates(domain.customerDBName, '100', 'lists.1')), ['1']);
+      assert.deepStrictEqual(await stateStore.getAllStates(domain.customerDBName, '100', 'lists.2'), {});
+    });
+
+    it('fails the list when the emails of new members can not be read, so they are added on the retry', async () => {
+      const lists = [{ listId: 1, name: 'Customers', objectTypeId: '0-1', members: { 1: createdAt } }];
+
+      await hubspot.stop();
+      hubspot = createFakeHubspot({ ...fixtures, lists });
+      process.env.HUBSPOT_API_BASE = await hubspot.start();
+
+      const domain = createDomain();
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      // the contacts are pulled already, the next batch read is the one of the new member's email
+      lists[0].members[2] = createdAt;
+      hubspot.failNext({ count: 1, path: /\/objects\/contacts\/batch\/read$/, status: 400 });
+      const failed = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(failed.status, 'failed');
+      assert.deepStrictEqual(failed.accounts[0].errors.map(error => error.operation), ['syncListMemberships']);
+      assert.deepStrictEqual(Object.keys(await stateStore.getAllStates(domain.customerDBName, '100', 'lists.1')), ['1']);
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      assert.deepStrictEqual(getActionNames(memoryStores.getActions(domain.customerDBName)).filter(name => name.includes('List')), [
+        '1:1 Added To List ada@example.com',
+        '1:2 Added To List bob@example.com'
+      ]);
+    });
+  });
+
+  describe('failures', () => {
+    it('waits out 429 responses and finishes the sync', async () => {
+      const rateLimited = await getMetricValue(metrics.apiRateLimited);
+      const retries = await getMetricValue(metrics.apiRetries, { status: '429' });
+      const recordsFetched = await getMetricValue(metrics.recordsFetched, { object_type: 'contacts' });
+
+      hubspot.failNext({ count: 2, path: /\/objects\/contacts\/search$/, status: 429, headers: { 'retry-after': '0' } });
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+      assert.strictEqual(memoryStores.getActions(domain.customerDBName).length, 2);
+      assert.strictEqual(hubspot.requests.filter(request => request.path === '/crm/v3/objects/contacts/search').length, 3);
+
+      assert.strictEqual(await getMetricValue(metrics.apiRateLimited) - rateLimited, 2);
+      assert.strictEqual(await getMetricValue(metrics.apiRetries, { status: '429' }) - retries, 2);
+      assert.strictEqual(await getMetricValue(metrics.recordsFetched, { object_type: 'contacts' }) - recordsFetched, 3);
+      assert.strictEqual(memoryStores.getSyncRuns(domain._id)[0].retries, 2);
+    });
+
+    it('refreshes an expired access token once and stores the rotated tokens', async () => {
+      const domain = createDomain();
+      const account = domain.integrations.hubspot.accounts[0];
+
+      await syncDomain(domain, { objectTypeNames: ['companies'] });
+      hubspot.expireAccessToken();
+      account.lastPulledDates.contacts = lastPulledDate.toDate();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'succeeded');
+      assert.strictEqual(hubspot.getTokenCount(), 2);
+      assert.strictEqual(account.accessToken, 'access-token-2');
+      assert.strictEqual(account.refreshToken, 'refresh-token-2');
+
+      // only the token fields are written, the sync progress is saved on its own
+      const tokenUpdates = memoryStores.getDomainUpdates(domain._id)
+        .map(({ update }) => update.$set)
+        .filter(fields => fields['integrations.hubspot.accounts.$.refreshToken']);
+      assert.strictEqual(tokenUpdates.length, 2);
+      tokenUpdates.forEach(fields => {
+        assert.deepStrictEqual(Object.keys(fields).sort(), ['integrations.hubspot.accounts.$.accessToken', 'integrations.hubspot.accounts.$.refreshToken']);
+      });
+      assert.ok(isEncrypted(tokenUpdates[1]['integrations.hubspot.accounts.$.refreshToken']));
+      assert.strictEqual(decryptToken(tokenUpdates[1]['integrations.hubspot.accounts.$.refreshToken']), 'refresh-token-2');
+      memoryStores.getDomainUpdates(domain._id)
+        .map(({ update }) => update.$set)
+        .filter(fields => fields['integrations.hubspot.accounts.$.lastPulledDates'])
+        .forEach(fields => assert.ok(!fields['integrations.hubspot.accounts.$.accessToken']));
+      assert.strictEqual(memoryStores.getActions(domain.customerDBName).length, 4);
+    });
+
+    it('fails the page on a failed association read without touching the tracked associations', async () => {
+      const domain = createDomain();
+      const account = domain.integrations.hubspot.accounts[0];
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      const actionCount = memoryStores.getActions(domain.customerDBName).length;
+
+      hubspot.failNext({ count: 1, path: /\/associations\/contacts\/companies\/batch\/read$/, status: 400 });
+      account.lastPulledDates.contacts = lastPulledDate.toDate();
+      const failed = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(failed.status, 'failed');
+      assert.strictEqual(memoryStores.getActions(domain.customerDBName).length, actionCount);
+      assert.strictEqual(account.lastPulledDates.contacts.valueOf(), lastPulledDate.valueOf());
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      assert.ok(!memoryStores.getActions(domain.customerDBName).some(action => action.actionName.includes('Association Changed')));
+    });
+
+    it('keeps the tracked associations when the page can not be stored, so the change is reported on the retry', async () => {
+      const domain = createDomain();
+      await stateStore.setStates(domain.customerDBName, '100', 'contacts.companies', { 1: ['11'] });
+
+      memoryStores.failInserts(1);
+      const failed = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(failed.status, 'failed');
+      assert.deepStrictEqual(await stateStore.getStates(domain.customerDBName, '100', 'contacts.companies', ['1']), { 1: ['11'] });
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      assert.ok(getActionNames(memoryStores.getActions(domain.customerDBName)).includes('1 Contact Company Association Changed ada@example.com'));
+    });
+
+    it('keeps the merged ids when the page can not be stored, so the merge is reported on the retry', async () => {
+      const survivor = { ...fixtures.objects.contacts[0], properties: { ...fixtures.objects.contacts[0].properties, hs_merged_object_ids: '5' } };
+
+      await hubspot.stop();
+      hubspot = createFakeHubspot({ ...fixtures, objects: { ...fixtures.objects, contacts: [survivor] } });
+      process.env.HUBSPOT_API_BASE = await hubspot.start();
+
+      memoryStores.failInserts(1);
+
+      const domain = createDomain();
+      const failed = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(failed.status, 'failed');
+      assert.deepStrictEqual(await stateStore.getAllStates(domain.customerDBName, '100', 'contacts.merged'), {});
+
+      await syncDomain(domain, { objectTypeNames: ['contacts'] });
+      assert.ok(getActionNames(memoryStores.getActions(domain.customerDBName)).includes('1 Contact Merged ada@example.com'));
+    });
+
+    it('fails the object type when its actions can not be stored and keeps its checkpoint', async () => {
+      memoryStores.failInserts(1);
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts'] });
+
+      assert.strictEqual(result.status, 'failed');
+      assert.deepStrictEqual(result.accounts[0].errors.map(error => `${error.operation} ${error.objectType}`), ['processObjectType contacts']);
+
+      const account = domain.integrations.hubspot.accounts[0];
+      assert.strictEqual(account.lastPulledDates.contacts.valueOf(), lastPulledDate.valueOf());
+      assert.strictEqual(account.syncCursors.has('contacts'), false);
+      assert.strictEqual(memoryStores.getActions(domain.customerDBName).length, 0);
+    });
+
+    it('fails the object type on a malformed response and keeps its lastPulledDate', async () => {
+      hubspot.malformNext({ path: /\/contacts\/search$/ });
+
+      const domain = createDomain();
+      const result = await syncDomain(domain, { objectTypeNames: ['contacts', 'companies'] });
+
+      const [accountResult] = result.accounts;
+      assert.strictEqual(result.status, 'failed');
+      assert.deepStrictEqual(accountResult.processedObjectTypes, ['companies']);
+      assert.deepStrictEqual(accountResult.errors.map(error => `${error.operation} ${error.objectType}`), ['processObjectType contacts']);
+
+      const account = domain.integrations.hubspot.accounts[0];
+      assert.strictEqual(account.lastPulledDates.contacts.valueOf(), lastPulledDate.valueOf());
+      assert.ok(account.lastPulledDates.companies > lastPulledDate.toDate());
+
+      const syncRuns = _.keyBy(memoryStores.getSyncRuns(domain._id), 'objectType');
+      assert.strictEqual(syncRuns.contacts.status, 'failed');
+      assert.strictEqual(syncRuns.contacts.syncErrors[0].operation, 'processObjectType');
+      assert.match(syncRuns.contacts.syncErrors[0].stack, /malformed body/);
+      assert.strictEqual(syncRuns.companies.status, 'succeeded');
+    });
+  });
+
+  describe('scheduler', () => {
+    const find = Domain.find;
+    const concurrency = process.env.HUBSPOT_SYNC_CONCURRENCY;
+
+    afterEach(() => {
+      Domain.find = find;
+      console.log = () => {};
+
+      if (concurrency === undefined) {
+        delete process.env.HUBSPOT_SYNC_CONCURRENCY;
+      } else {
+        process.env.HUBSPOT_SYNC_CONCURRENCY = concurrency;
+      }
+    });
+
+    it('pulls every enabled domain and logs the failing one without stopping the others', async () => {
+      const domain = createDomain({ hubId: '200' });
+      const revokedDomain = createDomain({ hubId: '201', refreshToken: 'revoked-refresh-token' });
+      Domain.find = async () => [domain, revokedDomain];
+      process.env.HUBSPOT_SYNC_CONCURRENCY = '2';
+
+      const logs = [];
+      console.log = line => logs.push(JSON.parse(line));
+
+      await scheduler.tick();
+      await scheduler.waitForRunningSyncs();
+
+      const results = _.keyBy(logs.filter(entry => entry.message === 'domain sync result'), 'apiKey');
+      assert.deepStrictEqual(_.pick(results[domain.apiKey], ['status', 'trigger', 'accounts']), {
+        status: 'succeeded',
+        trigger: 'schedule',
+        accounts: ['200: succeeded (0 errors)']
+      });
+      assert.strictEqual(results[revokedDomain.apiKey].status, 'failed');
+      assert.match(results[revokedDomain.apiKey].accounts[0], /^201: failed/);
+      assert.deepStrictEqual(getActionNames(memoryStores.getActions(domain.customerDBName)).slice(0, 2), [
+        '1 Contact Created ada@example.com',
+        '10 Company Created'
+      ]);
+      assert.strictEqual(memoryStores.getActions(revokedDomain.customerDBName).length, 0);
+
+      // the failed token refresh is recorded on every object type of the account
+      const syncRuns = memoryStores.getSyncRuns(revokedDomain._id);
+      assert.ok(syncRuns.length);
+      syncRuns.forEach(syncRun => {
+        assert.strictEqual(syncRun.status, 'failed');
+        assert.ok(syncRun.syncErrors.some(syncError => syncError.operation === 'refreshAccessToken'));
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+
+let keyringCache = { source: null, keys: null };
+
+/**
+ * Parse HUBSPOT_TOKEN_KEYS, a comma separated list of keyId:base64Key.
+ * The first key encrypts, every key decrypts, so a new key is rotated in by putting it first.
+ */
+const getKeyring = () => {
+  const source = process.env.HUBSPOT_TOKEN_KEYS || '';
+  if (keyringCache.source === source) return keyringCache.keys;
+
+  const keys = source.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [id, encodedKey, ...rest] = entry.split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+
+    if (!id || rest.length || key.length !== 32) {
+      throw new Error('HUBSPOT_TOKEN_KEYS entries must be keyId:base64Key with a 32 byte key');
+    }
+
+    return { id, key };
+  });
+
+  keyringCache = { source, keys };
+
+  return keys;
+};
+
+const getCurrentKey = () => {
+  const [currentKey] = getKeyring();
+  if (!currentKey) throw new Error('HUBSPOT_TOKEN_KEYS is not set, tokens can not be encrypted');
+
+  return currentKey;
+};
+
+const isEncrypted = value => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * Id of the key a stored value was encrypted with, null for plaintext
+ */
+const getKeyId = value => isEncrypted(value) ? value.split(':')[1] : null;
+
+/**
+ * Encrypt a token as enc:keyId:iv:tag:ciphertext with the current key. Encrypted and empty values are kept as they are.
+ */
+const encryptToken = value => {
+  if (!value || isEncrypted(value)) return value;
+
+  const { id, key } = getCurrentKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  // the key id is authenticated too, so it can't be swapped for another key's
+  cipher.setAAD(Buffer.from(id));
+
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return [PREFIX, id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a stored token. Plaintext stored before encryption was enabled is returned as it is.
+ */
+const decryptToken = value => {
+  if (!isEncrypted(value)) return value;
+
+  const [, id, iv, tag, ciphertext] = value.split(':');
+  const keyEntry = getKeyring().find(keyEntry => keyEntry.id === id);
+  if (!keyEntry) throw new Error(`Token was encrypted with key ${id}, which is not in HUBSPOT_TOKEN_KEYS`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, keyEntry.key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Whether a stored value has to be encrypted again: plaintext, or encrypted with an older key
+ */
+const needsReencryption = value => Boolean(value) && getKeyId(value) !== getCurrentKey().id;
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  getKeyId,
+  needsReencryption
+};
@@ -1,3 +1,9 @@
+const _ = require('lodash');
+
+const { insertActions } = require('./actionStore');
+const Domain = require('./Domain');
+const logger = require('./logger');
+
 const disallowedValues = [
   '[not provided]',
   'placeholder',
@@ -20,15 +26,80 @@ const filterNullValuesFromObject = object =>
           typeof v !== 'undefined' &&
           (typeof v !== 'string' || !disallowedValues.includes(v.toLowerCase()) || !v.toLowerCase().includes('!$record'))));
 
+// hs_merged_object_ids holds the ids of the records merged into a record, separated by semicolons
+const getMergedObjectIds = record => (record.properties?.hs_merged_object_ids || '').split(';').filter(id => id);
+
+/**
+ * Value changes in a property history since a date, oldest first, as [{ value, oldValue, timestamp, sourceType }]
+ */
+const getPropertyTransitions = (history, since) => {
+  // HubSpot lists the newest value first
+  const entries = _.sortBy(history || [], entry => new Date(entry.timestamp).valueOf());
+
+  return entries
+    .map((entry, index) => ({ ...entry, oldValue: entries[index - 1]?.value }))
+    .filter(entry => entry.value !== entry.oldValue && new Date(entry.timestamp) > since);
+};
+
+/**
+ * Name of an action of an object type, e.g. Contact Deleted. Only the first letter of the label is capitalized,
+ * so multi-word custom object labels such as Car Listing keep their spelling.
+ */
+const getActionName = (label, event) => `${_.upperFirst(label)} ${event}`;
+
 const normalizePropertyName = key => key.toLowerCase().replace(/__c$/, '').replace(/^_+|_+$/g, '').replace(/_+/g, '_');
 
-const goal = actions => {
-  // this is where the data will be written to the database
-  console.log(actions);
+const goal = async (domain, actions) => {
+  const { inserted, skipped } = await insertActions(domain.customerDBName, actions);
+
+  logger.info('inserted actions to database', {
+    apiKey: domain.apiKey,
+    inserted,
+    skipped
+  });
+
+  return { inserted, skipped };
+};
+
+// the parts of an account the worker writes back, tokens are written on their own by updateAccount
+const PROGRESS_PATHS = ['lastPulledDates', 'customObjectLastPulledDates', 'syncCursors'];
+
+const getAccountFilter = (domain, account, match = {}) =>
+  ({ _id: domain._id, 'integrations.hubspot.accounts': { $elemMatch: { hubId: account.hubId, ...match } } });
+
+const getAccountUpdate = fields => ({ $set: _.mapKeys(fields, (value, path) => `integrations.hubspot.accounts.$.${path}`) });
+
+/**
+ * Set fields of one HubSpot account of a Domain in place, matched by hubId, leaving the rest of the document alone
+ */
+const updateAccount = (domain, account, fields) => Domain.updateOne(getAccountFilter(domain, account), getAccountUpdate(fields));
+
+/**
+ * Set stored fields of one HubSpot account only while they still have the stored values of match.
+ * This bypasses the model: it would run the token setters on the filter too, and a plaintext token
+ * encrypted with a fresh iv never matches the stored one. fields must be stored values as well.
+ */
+const updateAccountIfUnchanged = (domain, account, fields, match) =>
+  Domain.collection.updateOne(getAccountFilter(domain, account, match), getAccountUpdate(fields));
+
+/**
+ * Persist the sync progress of every HubSpot account of a Domain. Other Domain instances, e.g. of the webhooks,
+ * may have rotated the tokens since this one was loaded, so the accounts are never written as a whole.
+ */
+const saveDomain = async domain => {
+  for (const account of domain.integrations.hubspot.accounts) {
+    await updateAccount(domain, account, _.pick(account.toObject({ flattenMaps: true }), PROGRESS_PATHS));
+  }
 };
 
 module.exports = {
+  saveDomain,
+  updateAccount,
+  updateAccountIfUnchanged,
   filterNullValuesFromObject,
   normalizePropertyName,
+  getActionName,
+  getMergedObjectIds,
+  getPropertyTransitions,
   goal
 };
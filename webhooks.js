@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const express = require('express');
+const _ = require('lodash');
+
+const Domain = require('./Domain');
+const logger = require('./logger');
+const objectTypes = require('./objectTypes');
+const { goal } = require('./utils');
+const { createRequest } = require('./hubspotRequest');
+const { getLastPulledDate } = require('./customObjects');
+const { setStates } = require('./stateStore');
+const { readRecords, getRequestedProperties, mapRecordsToActions, saveRecordStates, getRecordStatusAction } = require('./worker');
+
+// requests with an older timestamp are rejected as possible replays
+const MAX_REQUEST_AGE = 5 * 60 * 1000;
+
+const router = express.Router();
+
+/**
+ * Validate the v3 signature: base64 HMAC SHA-256 of method, uri, body and timestamp, keyed with the app's client secret
+ */
+const isValidSignature = req => {
+  const { HUBSPOT_CS, HUBSPOT_WEBHOOK_URL } = process.env;
+  const signature = req.get('x-hubspot-signature-v3');
+  const timestamp = req.get('x-hubspot-request-timestamp');
+
+  if (!HUBSPOT_CS || !signature || !timestamp || !req.rawBody) return false;
+  if (Math.abs(Date.now() - parseInt(timestamp)) > MAX_REQUEST_AGE) return false;
+
+  // behind a proxy the public url of the endpoint can differ from the one the request arrived on
+  const uri = HUBSPOT_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const expectedSignature = crypto
+    .createHmac('sha256', HUBSPOT_CS)
+    .update(`${req.method}${uri}${req.rawBody.toString('utf8')}${timestamp}`)
+    .digest('base64');
+
+  const signatureBuffer = Buffer.from(signature);
+  const expectedSignatureBuffer = Buffer.from(expectedSignature);
+
+  return signatureBuffer.length === expectedSignatureBuffer.length &&
+    crypto.timingSafeEqual(signatureBuffer, expectedSignatureBuffer);
+};
+
+/**
+ * Find the object type definition of an event, e.g. contact.propertyChange or object.creation with an objectTypeId
+ */
+const getEventDefinition = event => {
+  const [subscriptionObject] = (event.subscriptionType || '').split('.');
+
+  return Object.values(objectTypes).find(definition =>
+    subscriptionObject === 'object' ?
+      definition.objectTypeId === event.objectTypeId :
+      definition.label === subscriptionObject);
+};
+
+const getEventKind = event => (event.subscriptionType || '').split('.')[1];
+
+/**
+ * Get the id of the record an event is about, merges point to the surviving record
+ */
+const getEventObjectId = event => {
+  switch (getEventKind(event)) {
+    case 'merge':
+      return `${event.newObjectId || event.primaryObjectId}`;
+    case 'associationChange':
+      return `${event.fromObjectId}`;
+    default:
+      return `${event.objectId}`;
+  }
+};
+
+/**
+ * Turn the events of one object type of one account into actions.
+ * Also returns the states of the records and the archive dates of deleted records, to be remembered once the actions are stored.
+ */
+const getActionsForEvents = async (domain, account, definition, events) => {
+  const request = createRequest(domain, account);
+  const { hubId } = account;
+
+  const createdIds = new Set();
+  const updatedIds = new Set();
+  const deletionDates = {};
+
+  events.forEach(event => {
+    const objectId = getEventObjectId(event);
+
+    switch (getEventKind(event)) {
+      case 'creation':
+        createdIds.add(objectId);
+        break;
+      case 'deletion':
+        deletionDates[objectId] = event.occurredAt;
+        break;
+      default:
+        updatedIds.add(objectId);
+    }
+  });
+
+  const deletedIds = Object.keys(deletionDates);
+  deletedIds.forEach(objectId => {
+    createdIds.delete(objectId);
+    updatedIds.delete(objectId);
+  });
+  createdIds.forEach(objectId => updatedIds.delete(objectId));
+
+  // records of creation events map to Created actions, every other record to Updated actions
+  const { objectType } = definition;
+  const properties = getRequestedProperties(domain, definition);
+  const createdRecords = await readRecords(request, objectType, [...createdIds], properties);
+  const created = await mapRecordsToActions(request, definition, createdRecords, { domain, hubId, lastPulledDate: new Date(0) });
+  const updatedRecords = await readRecords(request, objectType, [...updatedIds], properties);
+  const updated = await mapRecordsToActions(request, definition, updatedRecords, {
+    domain,
+    hubId,
+    lastPulledDate: new Date(),
+    // changes the worker also pulls are deduplicated when the actions are stored
+    changedSince: new Date(getLastPulledDate(account, definition.name))
+  });
+
+  // deleted records are only readable as archived ones, their email is nice to have
+  const deletedRecords = _.keyBy(await readRecords(request, objectType, deletedIds, properties, true).catch(() => []), 'id');
+  const archivedDates = Object.fromEntries(deletedIds.map(objectId =>
+    [objectId, deletedRecords[objectId]?.archivedAt || new Date(deletionDates[objectId]).toISOString()]));
+  const deletedActions = deletedIds.map(objectId =>
+    getRecordStatusAction(definition, deletedRecords[objectId] || { id: objectId }, 'Deleted', archivedDates[objectId]));
+
+  return {
+    actions: [...created.actions, ...updated.actions, ...deletedActions],
+    // a record is either created or updated, so the states of both never share a key
+    states: _.mergeWith({}, created.states, updated.states, (values, otherValues) => ({ ...values, ...otherValues })),
+    archivedDates
+  };
+};
+
+/**
+ * Turn the events of one HubSpot portal into actions for every domain connected to it
+ */
+const processPortalEvents = async (portalId, events) => {
+  // domains whose integration is turned off are no longer synced, by the worker or here
+  const domains = await Domain.find({ 'integrations.hubspot.status': true, 'integrations.hubspot.accounts.hubId': portalId });
+
+  for (const domain of domains) {
+    try {
+      const account = domain.integrations.hubspot.accounts.find(account => account.hubId === portalId);
+
+      const eventsByObjectType = _.groupBy(events, event => getEventDefinition(event).name);
+      const actions = [];
+      const states = {};
+      const archivedDatesByObjectType = {};
+
+      for (const [objectTypeName, objectTypeEvents] of Object.entries(eventsByObjectType)) {
+        const result = await getActionsForEvents(domain, account, objectTypes[objectTypeName], objectTypeEvents);
+
+        actions.push(...result.actions);
+        Object.assign(states, result.states);
+        archivedDatesByObjectType[objectTypeName] = result.archivedDates;
+      }
+
+      // the states must never get ahead of the persisted actions
+      await goal(domain, actions);
+      await saveRecordStates(domain, portalId, states);
+
+      // so the archived reconciliation of the worker does not report these deletions again
+      for (const [objectTypeName, archivedDates] of Object.entries(archivedDatesByObjectType)) {
+        if (objectTypes[objectTypeName].reconcileArchived) {
+          await setStates(domain.customerDBName, portalId, `${objectTypeName}.archived`, archivedDates);
+        }
+      }
+    } catch (err) {
+      logger.error(err, { apiKey: domain.apiKey, hubId: portalId, operation: 'processWebhookEvents' });
+    }
+  }
+};
+
+router.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
+
+/**
+ * Receive HubSpot CRM subscription events
+ */
+router.post('/', (req, res) => {
+  if (!isValidSignature(req)) return res.status(401).json({ error: 'Invalid signature' });
+
+  const events = (Array.isArray(req.body) ? req.body : []).filter(event => event.portalId && getEventDefinition(event));
+
+  // HubSpot expects an answer within seconds, the events are processed afterwards
+  res.sendStatus(204);
+
+  const eventsByPortal = _.groupBy(events, event => `${event.portalId}`);
+  Object.entries(eventsByPortal).forEach(([portalId, portalEvents]) => {
+    processPortalEvents(portalId, portalEvents).catch(err => {
+      logger.error(err, { hubId: portalId, operation: 'processWebhookEvents' });
+    });
+  });
+});
+
+module.exports = router;
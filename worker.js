@@ -1,518 +1,792 @@
-const hubspot = require('@hubspot/api-client');
 const { queue } = require('async');
 const _ = require('lodash');
 
-const { filterNullValuesFromObject, goal } = require('./utils');
-const Domain = require('./Domain');
+const {
+  filterNullValuesFromObject,
+  getActionName,
+  getMergedObjectIds,
+  getPropertyTransitions,
+  goal,
+  normalizePropertyName,
+  saveDomain
+} = require('./utils');
+const logger = require('./logger');
+const { recordsFetched, actionsEmitted, syncDuration } = require('./metrics');
+const objectTypes = require('./objectTypes');
+const { getEnabledObjectTypeNames, getLastPulledDate, setLastPulledDate, getCustomObjectDefinitions } = require('./customObjects');
+const { getHubspotClient } = require('./hubspotClient');
+const { createRequest } = require('./hubspotRequest');
+const { getStates, getAllStates, setStates, deleteStates } = require('./stateStore');
+const { recordProgress, createSyncRun, getSyncError, saveSyncRun, saveFailedSyncRun } = require('./syncStatus');
+const { generateSearchBody, searchModifiedRecords } = require('./searchWindows');
+const { syncOwners, getOwners, getOwnerProperties } = require('./owners');
+const { syncDealPipelines, getDealPipelines, getDealStages } = require('./pipelines');
 
-const hubspotClient = new hubspot.Client({ accessToken: '' });
 const propertyPrefix = 'hubspot__';
-let expirationDate;
-
-const generateLastModifiedDateFilter = (date, nowDate, propertyName = 'hs_lastmodifieddate') => {
-  const lastModifiedDateFilter = date
-    ? {
-        filters: [
-          { propertyName, operator: 'GTQ', value: `${date.valueOf()}` },
-          { propertyName, operator: 'LTQ', value: `${nowDate.valueOf()}` }
-        ]
-      }
-    : {};
-
-  return lastModifiedDateFilter;
-};
+let stopRequested = false;
 
-const saveDomain = async domain => {
-  // disable this for testing purposes
-  return;
+// object types whose list memberships are synced, by objectTypeId
+const LIST_OBJECT_TYPES = { '0-1': 'contacts', '0-2': 'companies' };
 
-  domain.markModified('integrations.hubspot.accounts');
-  await domain.save();
+/**
+ * Read the associations of each record with their labels, as { recordId: [{ id, labels, primary }] }.
+ * The primary association, if any, comes first. A failed read fails the page, tracked associations
+ * must never be compared with an empty result.
+ */
+const readAssociations = async (request, fromObjectType, toObjectType, ids) => {
+  if (ids.length === 0) return {};
+
+  const associationsResults = (await request({
+    method: 'post',
+    path: `/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/read`,
+    body: { inputs: ids.map(id => ({ id })) }
+  }))?.results || [];
+
+  return Object.fromEntries(
+    associationsResults
+      .filter(a => a.from && a.to)
+      .map(a => [
+        `${a.from.id}`,
+        _.sortBy(a.to.map(t => {
+          const types = t.associationTypes || [];
+
+          return {
+            id: `${t.toObjectId}`,
+            labels: types.map(type => type.label).filter(label => label && label !== 'Primary'),
+            primary: types.some(type => type.label === 'Primary')
+          };
+        }), association => !association.primary)
+      ])
+  );
 };
 
 /**
- * Get access token from HubSpot
+ * Read records of one object type by id, archived ones only when asked for
  */
-const refreshAccessToken = async (domain, hubId, tryCount) => {
-  const { HUBSPOT_CID, HUBSPOT_CS } = process.env;
-  const account = domain.integrations.hubspot.accounts.find(account => account.hubId === hubId);
-  const { accessToken, refreshToken } = account;
+const readRecords = async (request, objectType, ids, properties, archived = false) => {
+  const results = [];
 
-  return hubspotClient.oauth.tokensApi
-    .createToken('refresh_token', undefined, undefined, HUBSPOT_CID, HUBSPOT_CS, refreshToken)
-    .then(async result => {
-      const body = result.body ? result.body : result;
+  // batch reads take at most 100 inputs
+  for (const idsChunk of _.chunk(ids, 100)) {
+    const batchResponse = await request({
+      method: 'post',
+      path: `/crm/v3/objects/${objectType}/batch/read`,
+      qs: { archived },
+      body: { inputs: idsChunk.map(id => ({ id })), properties }
+    });
 
-      const newAccessToken = body.accessToken;
-      expirationDate = new Date(body.expiresIn * 1000 + new Date().getTime());
+    results.push(...(batchResponse?.results || []));
+  }
+
+  return results;
+};
 
-      hubspotClient.setAccessToken(newAccessToken);
-      if (newAccessToken !== accessToken) {
-        account.accessToken = newAccessToken;
-      }
+/**
+ * Read the history of the given properties, as { recordId: { property: [{ value, timestamp, sourceType }] } }
+ */
+const readPropertyHistory = async (request, objectType, ids, properties) => {
+  const history = {};
 
-      return true;
+  // batch reads with propertiesWithHistory take at most 50 inputs
+  for (const idsChunk of _.chunk(ids, 50)) {
+    const batchResponse = await request({
+      method: 'post',
+      path: `/crm/v3/objects/${objectType}/batch/read`,
+      qs: { archived: false },
+      body: { inputs: idsChunk.map(id => ({ id })), properties: [], propertiesWithHistory: properties }
+    });
+
+    (batchResponse?.results || []).forEach(record => {
+      history[record.id] = record.propertiesWithHistory || {};
     });
+  }
+
+  return history;
 };
 
 /**
- * Get recently modified companies as 100 companies per page
+ * Read the email of each contact, as { contactId: email }.
+ * A failed read fails the caller, so no contact is mistaken for one without an email.
  */
-const processCompanies = async (domain, hubId, q) => {
-  const account = domain.integrations.hubspot.accounts.find(account => account.hubId === hubId);
-  const lastPulledDate = new Date(account.lastPulledDates.companies);
-  const now = new Date();
-
-  let hasMore = true;
-  const offsetObject = {};
-  const limit = 100;
-
-  while (hasMore) {
-    const lastModifiedDate = offsetObject.lastModifiedDate || lastPulledDate;
-    const lastModifiedDateFilter = generateLastModifiedDateFilter(lastModifiedDate, now);
-    const searchObject = {
-      filterGroups: [lastModifiedDateFilter],
-      sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'ASCENDING' }],
-      properties: [
-        'name',
-        'domain',
-        'country',
-        'industry',
-        'description',
-        'annualrevenue',
-        'numberofemployees',
-        'hs_lead_status'
-      ],
-      limit,
-      after: offsetObject.after
-    };
+const readContactEmails = async (request, contactIds) => {
+  const contacts = await readRecords(request, 'contacts', contactIds, ['email']);
+
+  return Object.fromEntries(contacts.map(c => [c.id, c.properties.email]));
+};
+
+const getPropertyMappings = (domain, definition) =>
+  domain.integrations.hubspot.propertyMappings?.get(definition.name) || [];
 
-    let searchResult = {};
+/**
+ * Properties to request for an object type: the ones of its definition and the domain's mapped ones
+ */
+const getRequestedProperties = (domain, definition) =>
+  _.uniq([...definition.properties, ...getPropertyMappings(domain, definition).map(mapping => mapping.hubspotProperty)]);
 
-    let tryCount = 0;
-    while (tryCount <= 4) {
-      try {
-        searchResult = await hubspotClient.crm.companies.searchApi.doSearch(searchObject);
-        break;
-      } catch (err) {
-        tryCount++;
+/**
+ * Values of the domain's mapped properties of a record, by target, e.g. { userProperties: { hubspot__plan: 'pro' } }
+ */
+const mapCustomProperties = (record, propertyMappings) => {
+  const customProperties = {};
 
-        if (new Date() > expirationDate) await refreshAccessToken(domain, hubId);
+  propertyMappings.forEach(({ hubspotProperty, name, target }) => {
+    customProperties[target] = {
+      ...customProperties[target],
+      [`${propertyPrefix}${normalizePropertyName(name || hubspotProperty)}`]: record.properties?.[hubspotProperty]
+    };
+  });
 
-        await new Promise((resolve, reject) => setTimeout(resolve, 5000 * Math.pow(2, tryCount)));
-      }
-    }
+  return _.pickBy(_.mapValues(customProperties, filterNullValuesFromObject), properties => !_.isEmpty(properties));
+};
 
-    if (!searchResult) throw new Error('Failed to fetch companies for the 4th time. Aborting.');
+/**
+ * Where the properties describing a record go on its actions
+ */
+const getPropertiesTarget = definition => {
+  if (definition.name === 'companies') return 'companyProperties';
+  if (definition.name === 'deals') return 'dealProperties';
 
-    const data = searchResult?.results || [];
-    offsetObject.after = parseInt(searchResult?.paging?.next?.after);
+  return 'userProperties';
+};
 
-    console.log('fetch company batch');
+/**
+ * Properties whose changes become generic Changed actions. Properties the mapper already turns into actions
+ * from their history, e.g. dealstage into Deal Stage Changed, are left out so a transition isn't reported twice.
+ */
+const getTrackedProperties = (domain, definition) => _.difference(
+  domain.integrations.hubspot.trackedProperties?.get(definition.name) || definition.trackedProperties || [],
+  definition.historyProperties || []
+);
 
-    data.forEach(company => {
-      if (!company.properties) return;
+/**
+ * One action per change of a tracked property since changedSince, dated when the value was set.
+ * Contacts without an email are skipped, as the contact mapper skips them.
+ */
+const getPropertyChangeActions = (definition, record, propertiesHistory, changedSince) => {
+  if (definition.name === 'contacts' && !record.properties?.email) return [];
+
+  return Object.entries(propertiesHistory).flatMap(([property, history]) =>
+    getPropertyTransitions(history, changedSince).map(transition => {
+      const change = filterNullValuesFromObject({
+        property,
+        old_value: transition.oldValue,
+        new_value: transition.value,
+        change_source: transition.sourceType
+      });
 
-      const actionTemplate = {
+      return {
+        objectId: record.id,
+        actionName: getActionName(definition.label, `${property} Changed`),
+        actionDate: new Date(transition.timestamp),
         includeInAnalytics: 0,
-        companyProperties: {
-          company_id: company.id,
-          company_domain: company.properties.domain,
-          company_industry: company.properties.industry
-        }
+        ...(record.properties?.email && { identity: record.properties.email }),
+        ...(definition.name === 'companies' && { companyProperties: { company_id: record.id, ...change } }),
+        ...(definition.name === 'deals' && { dealProperties: { deal_id: record.id, ...change } }),
+        ...(!['companies', 'deals'].includes(definition.name) && { userProperties: change })
       };
+    }));
+};
 
-      const isCreated = !lastPulledDate || new Date(company.createdAt) > lastPulledDate;
+/**
+ * Turn records into actions, reading their associations and the emails of associated contacts.
+ * For tracked associations and merges the ids seen on the previous run are handed to the mapper, the ids seen now are
+ * returned as states by kind, for the caller to save with saveRecordStates once the actions are persisted.
+ * Changes of tracked properties since changedSince are added from the property history.
+ * Every action of a record gets the domain's mapped properties and the name and email of the record's owner.
+ */
+const mapRecordsToActions = async (request, definition, records, { domain, hubId, lastPulledDate, changedSince = lastPulledDate }) => {
+  const recordIds = records.map(record => record.id);
+  const associations = {};
+  for (const toObjectType of definition.associations) {
+    associations[toObjectType] = await readAssociations(request, definition.objectType, toObjectType, recordIds);
+  }
 
-      q.push({
-        actionName: isCreated ? 'Company Created' : 'Company Updated',
-        actionDate: new Date(isCreated ? company.createdAt : company.updatedAt) - 2000,
-        ...actionTemplate
-      });
-    });
+  const contactEmails = associations.contacts ?
+    await readContactEmails(request, [...new Set(Object.values(associations.contacts).flat().map(a => a.id))]) :
+    {};
 
-    if (!offsetObject?.after) {
-      hasMore = false;
-      break;
-    } else if (offsetObject?.after >= 9900) {
-      offsetObject.after = 0;
-      offsetObject.lastModifiedDate = new Date(data[data.length - 1].updatedAt).valueOf();
+  const previousAssociations = {};
+  for (const toObjectType of definition.trackedAssociations || []) {
+    previousAssociations[toObjectType] = await getStates(domain.customerDBName, hubId, `${definition.name}.${toObjectType}`, recordIds);
+  }
+
+  const previousMergedIds = definition.trackMerges ?
+    await getStates(domain.customerDBName, hubId, `${definition.name}.merged`, recordIds) :
+    {};
+
+  const trackedProperties = getTrackedProperties(domain, definition);
+  const historyProperties = _.uniq([...trackedProperties, ...(definition.historyProperties || [])]);
+  const propertyHistory = historyProperties.length && records.length ?
+    await readPropertyHistory(request, definition.objectType, recordIds, historyProperties) :
+    {};
+
+  // deals resolve their pipeline and stage ids, current and past ones, to the cached labels
+  const isDeal = definition.name === 'deals';
+  const dealPipelines = isDeal ?
+    await getDealPipelines(domain.customerDBName, hubId, _.uniq(_.compact(records.map(record => record.properties?.pipeline)))) :
+    {};
+  const dealStages = isDeal ?
+    await getDealStages(domain.customerDBName, hubId, _.uniq(_.compact([
+      ...records.map(record => record.properties?.dealstage),
+      ...Object.values(propertyHistory).flatMap(history => (history.dealstage || []).map(entry => entry.value))
+    ]))) :
+    {};
+
+  const ownerIds = _.uniq(records.map(record => record.properties?.hubspot_owner_id).filter(id => id));
+  const owners = await getOwners(domain.customerDBName, hubId, ownerIds);
+  const propertyMappings = getPropertyMappings(domain, definition);
+
+  const actions = records.flatMap(record => {
+    const ownerId = record.properties?.hubspot_owner_id;
+    const extraProperties = mapCustomProperties(record, propertyMappings);
+
+    if (ownerId) {
+      const target = getPropertiesTarget(definition);
+      extraProperties[target] = { ...getOwnerProperties(ownerId, owners[ownerId]), ...extraProperties[target] };
     }
+
+    const context = {
+      lastPulledDate,
+      changedSince,
+      associations,
+      contactEmails,
+      previousAssociations,
+      previousMergedIds,
+      propertyHistory,
+      dealPipelines,
+      dealStages
+    };
+
+    return [
+      ...definition.mapRecord(record, context),
+      ...getPropertyChangeActions(definition, record, _.pick(propertyHistory[record.id] || {}, trackedProperties), changedSince)
+    ].map(action => ({
+      objectId: record.id,
+      ...action,
+      ..._.mapValues(extraProperties, (properties, target) => ({ ...action[target], ...properties }))
+    }));
+  });
+
+  const states = {};
+  for (const toObjectType of definition.trackedAssociations || []) {
+    states[`${definition.name}.${toObjectType}`] =
+      Object.fromEntries(recordIds.map(id => [id, (associations[toObjectType][id] || []).map(a => a.id)]));
   }
 
-  account.lastPulledDates.companies = now;
-  await saveDomain(domain);
+  // only records that absorbed others are remembered, merged ids are never taken away again
+  if (definition.trackMerges) {
+    states[`${definition.name}.merged`] = Object.fromEntries(records
+      .map(record => [record.id, getMergedObjectIds(record)])
+      .filter(([, ids]) => ids.length));
+  }
 
-  return true;
+  return { actions, states };
 };
 
 /**
- * Get recently modified contacts as 100 contacts per page
+ * Save the states returned by mapRecordsToActions, as { kind: { key: value } }
  */
-const processContacts = async (domain, hubId, q) => {
+const saveRecordStates = async (domain, hubId, states) => {
+  for (const [kind, values] of Object.entries(states)) {
+    await setStates(domain.customerDBName, hubId, kind, values);
+  }
+};
+
+/**
+ * Get recently modified records of one object type as 100 records per page, see searchWindows.js for the windows.
+ * After every page the actions are persisted and a checkpoint is saved, so an interrupted sync resumes from there.
+ * The window, the counts and the retries are recorded in syncRun.
+ */
+const processObjectType = async (domain, hubId, q, actions, definition, run, syncRun) => {
+  const { name, label, objectType, lastModifiedProperty } = definition;
   const account = domain.integrations.hubspot.accounts.find(account => account.hubId === hubId);
-  const lastPulledDate = new Date(account.lastPulledDates.contacts);
-  const now = new Date();
-
-  let hasMore = true;
-  const offsetObject = {};
-  const limit = 100;
-
-  while (hasMore) {
-    const lastModifiedDate = offsetObject.lastModifiedDate || lastPulledDate;
-    const lastModifiedDateFilter = generateLastModifiedDateFilter(lastModifiedDate, now, 'lastmodifieddate');
-    const searchObject = {
-      filterGroups: [lastModifiedDateFilter],
-      sorts: [{ propertyName: 'lastmodifieddate', direction: 'ASCENDING' }],
-      properties: [
-        'firstname',
-        'lastname',
-        'jobtitle',
-        'email',
-        'hubspotscore',
-        'hs_lead_status',
-        'hs_analytics_source',
-        'hs_latest_source'
-      ],
-      limit,
-      after: offsetObject.after
-    };
+  const lastPulledDate = new Date(getLastPulledDate(account, name));
+  const syncCursor = account.syncCursors.get(name);
+  const request = createRequest(domain, account, { onRetry: () => syncRun.retries++ });
+  const log = logger.child({ apiKey: domain.apiKey, hubId, objectType: name, runId: run?.id });
 
-    let searchResult = {};
+  // resume an interrupted sync with the same upper bound, so its windows stay valid
+  const windowEnd = syncCursor ? new Date(syncCursor.windowEnd) : new Date();
 
-    let tryCount = 0;
-    while (tryCount <= 4) {
-      try {
-        searchResult = await hubspotClient.crm.contacts.searchApi.doSearch(searchObject);
-        break;
-      } catch (err) {
-        tryCount++;
+  syncRun.windowStart = lastPulledDate;
+  syncRun.windowEnd = windowEnd;
 
-        if (new Date() > expirationDate) await refreshAccessToken(domain, hubId);
+  if (syncCursor?.completed) return true;
 
-        await new Promise((resolve, reject) => setTimeout(resolve, 5000 * Math.pow(2, tryCount)));
-      }
-    }
+  const searchOptions = { lastModifiedProperty, properties: getRequestedProperties(domain, definition), limit: 100 };
 
-    if (!searchResult) throw new Error('Failed to fetch contacts for the 4th time. Aborting.');
+  if (syncCursor) log.info(`resume ${label} sync from checkpoint`);
 
-    const data = searchResult.results || [];
+  let page = 0;
 
-    console.log('fetch contact batch');
+  await searchModifiedRecords({
+    lastModifiedProperty,
+    start: lastPulledDate,
+    end: windowEnd,
+    cursor: syncCursor ? syncCursor.toObject() : {},
+    // on shutdown the page in progress is finished and checkpointed, the rest is left for the next run
+    shouldStop: () => stopRequested,
+    search: page => request({
+      method: 'post',
+      path: `/crm/v3/objects/${objectType}/search`,
+      body: generateSearchBody(page, searchOptions)
+    }),
+    onPage: async (records, cursor) => {
+      page++;
+      log.info(`fetch ${label} batch`, { page, records: records.length });
 
-    offsetObject.after = parseInt(searchResult.paging?.next?.after);
-    const contactIds = data.map(contact => contact.id);
+      const { actions: pageActions, states } = await mapRecordsToActions(request, definition, records, { domain, hubId, lastPulledDate });
+      pageActions.forEach(action => q.push(action));
 
-    // contact to company association
-    const contactsToAssociate = contactIds;
-    const companyAssociationsResults = (await (await hubspotClient.apiRequest({
-      method: 'post',
-      path: '/crm/v3/associations/CONTACTS/COMPANIES/batch/read',
-      body: { inputs: contactsToAssociate.map(contactId => ({ id: contactId })) }
-    })).json())?.results || [];
-
-    const companyAssociations = Object.fromEntries(
-      companyAssociationsResults
-        .map(a => {
-          if (a.from) {
-            contactsToAssociate.splice(contactsToAssociate.indexOf(a.from.id), 1);
-            return [a.from.id, a.to[0].id];
-          } else return false;
-        })
-        .filter(x => x)
-    );
-
-    data.forEach(contact => {
-      if (!contact.properties || !contact.properties.email) return;
-
-      const companyId = companyAssociations[contact.id];
-      const isCreated = new Date(contact.createdAt) > lastPulledDate;
-
-      const userProperties = {
-        company_id: companyId,
-        contact_name: ((contact.properties.firstname || '') + ' ' + (contact.properties.lastname || '')).trim(),
-        contact_title: contact.properties.jobtitle,
-        contact_source: contact.properties.hs_analytics_source,
-        contact_status: contact.properties.hs_lead_status,
-        contact_score: parseInt(contact.properties.hubspotscore) || 0
-      };
+      recordsFetched.inc({ object_type: name }, records.length);
+      actionsEmitted.inc({ object_type: name }, pageActions.length);
 
-      const actionTemplate = {
-        includeInAnalytics: 0,
-        identity: contact.properties.email,
-        userProperties: filterNullValuesFromObject(userProperties)
-      };
+      recordProgress(run, hubId, name, { pages: 1, records: records.length, actions: pageActions.length });
+      syncRun.pages++;
+      syncRun.records += records.length;
+      syncRun.actions += pageActions.length;
 
-      q.push({
-        actionName: isCreated ? 'Contact Created' : 'Contact Updated',
-        actionDate: new Date(isCreated ? contact.createdAt : contact.updatedAt),
-        ...actionTemplate
-      });
-    });
+      // the states and the checkpoint must never get ahead of the persisted actions
+      await drainQueue(domain, actions, q);
+      await saveRecordStates(domain, hubId, states);
 
-    if (!offsetObject?.after) {
-      hasMore = false;
-      break;
-    } else if (offsetObject?.after >= 9900) {
-      offsetObject.after = 0;
-      offsetObject.lastModifiedDate = new Date(data[data.length - 1].updatedAt).valueOf();
+      account.syncCursors.set(name, { ...cursor, windowEnd });
+      await saveDomain(domain);
+      await saveSyncRun(syncRun);
     }
-  }
-
-  account.lastPulledDates.contacts = now;
-  await saveDomain(domain);
+  });
 
   return true;
 };
 
 /**
- * Get recently modified meetings as 100 meetings per page
+ * Get the action for a record that was deleted or restored, e.g. Contact Deleted
  */
-const processMeetings = async (domain, hubId, q) => {
-  const account = domain.integrations.hubspot.accounts.find(a => a.hubId === hubId);
-  const lastPulledDate = new Date(account.lastPulledDates.meetings);
-  const now = new Date();
-
-  let hasMore = true;
-  const offsetObject = {};
-  const limit = 100;
-
-  while (hasMore) {
-    const lastModifiedDate = offsetObject.lastModifiedDate || lastPulledDate;
-    const lastModifiedDateFilter = generateLastModifiedDateFilter(lastModifiedDate, now, 'hs_lastmodifieddate');
-    const searchObject = {
-      filterGroups: [lastModifiedDateFilter],
-      sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'ASCENDING' }],
-      properties: [
-        'hs_meeting_title',
-        'hs_meeting_start_time',
-        'hs_meeting_end_time',
-        'hs_createdate',
-        'hs_lastmodifieddate'
-      ],
-      limit,
-      after: offsetObject.after
-    };
+const getRecordStatusAction = (definition, record, status, actionDate) => ({
+  objectId: record.id,
+  actionName: getActionName(definition.label, status),
+  actionDate: new Date(actionDate),
+  includeInAnalytics: 0,
+  ...(record.properties?.email && { identity: record.properties.email }),
+  ...(definition.name === 'companies' && { companyProperties: { company_id: record.id } }),
+  ...(definition.name === 'deals' && { dealProperties: { deal_id: record.id } })
+});
 
-    let searchResult = {};
+/**
+ * Compare the archived records of an object type with the ones seen archived on the previous run.
+ * Newly archived records become Deleted actions, records that are back become Restored actions.
+ * Actions and state are persisted page by page, so memory stays bounded by one page.
+ */
+const reconcileArchivedRecords = async (domain, account, q, actions, definition) => {
+  const { customerDBName } = domain;
+  const { hubId } = account;
+  const request = createRequest(domain, account);
+  const kind = `${definition.name}.archived`;
+
+  // archived object id => archivedAt
+  const knownArchivedDates = await getAllStates(customerDBName, hubId, kind);
+  const archivedIds = new Set();
+
+  // the list endpoint can't filter archived records by date, so every one of them is listed
+  let after;
+  do {
+    const page = await request({
+      path: `/crm/v3/objects/${definition.objectType}`,
+      qs: { archived: true, limit: 100, properties: definition.properties.join(','), ...(after && { after }) }
+    });
 
-    let tryCount = 0;
-    while (tryCount <= 4) {
-      try {
-        searchResult = await hubspotClient.crm.meetings.searchApi.doSearch(searchObject);
-        break;
-      } catch (err) {
-        tryCount++;
+    const newArchivedDates = {};
+    (page?.results || []).forEach(record => {
+      archivedIds.add(record.id);
+      if (knownArchivedDates[record.id]) return;
 
-        if (new Date() > expirationDate) await refreshAccessToken(domain, hubId);
+      const archivedAt = record.archivedAt || record.updatedAt;
+      newArchivedDates[record.id] = archivedAt;
+      q.push(getRecordStatusAction(definition, record, 'Deleted', archivedAt));
+    });
 
-        await new Promise((resolve, reject) => setTimeout(resolve, 5000 * Math.pow(2, tryCount)));
-      }
-    }
+    // the state must never get ahead of the persisted actions
+    await drainQueue(domain, actions, q);
+    await setStates(customerDBName, hubId, kind, newArchivedDates);
 
-    if (!searchResult) throw new Error('Failed to fetch meetings for the 4th time. Aborting.');
+    after = page?.paging?.next?.after;
+  } while (after);
 
-    const data = searchResult.results || [];
-    offsetObject.after = parseInt(searchResult.paging?.next?.after);
+  // records that are no longer archived were either restored or purged for good
+  const unarchivedIds = Object.keys(knownArchivedDates).filter(id => !archivedIds.has(id));
 
-    console.log('fetch meeting batch');
+  for (const idsChunk of _.chunk(unarchivedIds, 100)) {
+    const restoredRecords = await readRecords(request, definition.objectType, idsChunk, definition.properties);
+    restoredRecords.forEach(record => q.push(getRecordStatusAction(definition, record, 'Restored', record.updatedAt)));
 
-    const meetingIds = data.map(m => m.id);
+    await drainQueue(domain, actions, q);
+    await deleteStates(customerDBName, hubId, kind, idsChunk);
+  }
 
-    let meetingContactAssociationsResponse;
-    try {
-      if (meetingIds.length > 0) {
-        meetingContactAssociationsResponse = await hubspotClient.apiRequest({
-          method: 'post',
-          path: '/crm/v3/associations/MEETINGS/CONTACTS/batch/read',
-          body: {
-            inputs: meetingIds.map(id => ({ id }))
-          }
-        });
-      }
-    } catch (err) {
-      console.log('Error fetching meeting-contact associations', err);
-    }
+  return true;
+};
+
+/**
+ * Read the lists of an account whose members are contacts or companies
+ */
+const readLists = async request => {
+  const lists = [];
 
-    const meetingContactAssociations = meetingContactAssociationsResponse
-      ? (await meetingContactAssociationsResponse.json()).results || []
-      : [];
-
-    // create map meetingId => array of contactIds
-    const meetingToContactsMap = {};
-    meetingContactAssociations.forEach(assoc => {
-      if (!assoc.from || !assoc.to) return;
-      const mid = assoc.from.id;
-      const contactIds = assoc.to.map(t => t.id);
-      if (!meetingToContactsMap[mid]) {
-        meetingToContactsMap[mid] = [];
-      }
-      meetingToContactsMap[mid].push(...contactIds);
+  let offset = 0;
+  let hasMore;
+  do {
+    const page = await request({
+      method: 'post',
+      path: '/crm/v3/lists/search',
+      body: { count: 500, offset }
     });
 
-    // gather unique contact ids
-    const allContactIds = Object.values(meetingToContactsMap).flat();
-    const uniqueContactIds = [...new Set(allContactIds)];
-
-    // fetch contacts in batch
-    let contactIdToEmail = {};
-    if (uniqueContactIds.length > 0) {
-      try {
-        const contactsBatchResponse = await hubspotClient.crm.contacts.batchApi.read({
-          inputs: uniqueContactIds.map(id => ({ id })),
-          properties: ['email']
-        });
-        if (contactsBatchResponse && contactsBatchResponse.results) {
-          contactIdToEmail = Object.fromEntries(
-            contactsBatchResponse.results.map(c => [c.id, c.properties.email])
-          );
-        }
-      } catch (err) {
-        console.log('Error fetching contacts for meetings', err);
-      }
-    }
+    lists.push(...(page?.lists || []));
 
-    data.forEach(meeting => {
-      const isCreated = new Date(meeting.properties.hs_createdate) > lastPulledDate;
-      const actionName = isCreated ? 'Meeting Created' : 'Meeting Updated';
-      const actionDate = new Date(
-        isCreated
-          ? meeting.properties.hs_createdate
-          : meeting.properties.hs_lastmodifieddate
-      );
-
-      const userProperties = {
-        meeting_title: meeting.properties.hs_meeting_title,
-        meeting_start_time: meeting.properties.hs_meeting_start_time,
-        meeting_end_time: meeting.properties.hs_meeting_end_time
-      };
+    hasMore = page?.hasMore && page.offset > offset;
+    offset = page?.offset;
+  } while (hasMore);
 
-      const contactIds = meetingToContactsMap[meeting.id] || [];
-      contactIds.forEach(cid => {
-        const email = contactIdToEmail[cid];
-        if (!email) return;
-
-        q.push({
-          actionName,
-          actionDate,
-          includeInAnalytics: 0,
-          identity: email,
-          userProperties: filterNullValuesFromObject(userProperties)
-        });
-      });
+  return lists.filter(list => LIST_OBJECT_TYPES[list.objectTypeId]);
+};
+
+/**
+ * Read the members of a list, as { recordId: membershipTimestamp }
+ */
+const readListMemberships = async (request, listId) => {
+  const memberships = {};
+
+  let after;
+  do {
+    const page = await request({
+      path: `/crm/v3/lists/${listId}/memberships`,
+      qs: { limit: 250, ...(after && { after }) }
     });
 
-    if (!offsetObject?.after) {
-      hasMore = false;
-      break;
-    } else if (offsetObject?.after >= 9900) {
-      offsetObject.after = 0;
-      offsetObject.lastModifiedDate = new Date(
-        data[data.length - 1].properties.hs_lastmodifieddate
-      ).valueOf();
-    }
+    (page?.results || []).forEach(membership => {
+      memberships[`${membership.recordId}`] = membership.membershipTimestamp;
+    });
+
+    after = page?.paging?.next?.after;
+  } while (after);
+
+  return memberships;
+};
+
+/**
+ * Contacts are keyed by email and skipped without one, companies by id.
+ * The list id is part of the objectId, so one record can join and leave several lists at the same time.
+ */
+const getListMembershipAction = (list, recordId, member, actionName, actionDate) => {
+  const listProperties = { list_id: `${list.listId}`, list_name: list.name };
+
+  if (LIST_OBJECT_TYPES[list.objectTypeId] === 'companies') {
+    return {
+      objectId: `${list.listId}:${recordId}`,
+      actionName,
+      actionDate: new Date(actionDate),
+      includeInAnalytics: 0,
+      companyProperties: { company_id: recordId, ...listProperties }
+    };
   }
 
-  account.lastPulledDates.meetings = now;
-  await saveDomain(domain);
-  return true;
+  if (!member.email) return null;
+
+  return {
+    objectId: `${list.listId}:${recordId}`,
+    actionName,
+    actionDate: new Date(actionDate),
+    includeInAnalytics: 0,
+    identity: member.email,
+    userProperties: { contact_id: recordId, ...listProperties }
+  };
 };
 
-const createQueue = (domain, actions) =>
-  queue(async (action, callback) => {
-    actions.push(action);
+/**
+ * Compare the members of every contact and company list with the ones seen on the previous run.
+ * New members become Added To List actions, members that left and members of deleted lists Removed From List actions.
+ * Lists are persisted one at a time, so a failure loses the progress of one list at most.
+ */
+const syncListMemberships = async (domain, account, q, actions, objectTypeNames) => {
+  const { customerDBName } = domain;
+  const { hubId } = account;
+  const request = createRequest(domain, account);
+  const syncedAt = new Date();
+
+  const isSynced = list => objectTypeNames.includes(LIST_OBJECT_TYPES[list.objectTypeId]);
+  const lists = (await readLists(request)).filter(isSynced);
+  const knownLists = await getAllStates(customerDBName, hubId, 'lists');
+  const deletedLists = Object.entries(knownLists)
+    .filter(([listId, list]) => isSynced(list) && !lists.some(current => `${current.listId}` === listId))
+    .map(([listId, list]) => ({ ...list, listId }));
+
+  for (const list of [...lists, ...deletedLists]) {
+    if (stopRequested) break;
+
+    const kind = `lists.${list.listId}`;
+    const isDeleted = deletedLists.includes(list);
+    const memberships = isDeleted ? {} : await readListMemberships(request, list.listId);
+    const previousMembers = await getAllStates(customerDBName, hubId, kind);
+
+    const addedIds = Object.keys(memberships).filter(id => !previousMembers[id]);
+    const removedIds = Object.keys(previousMembers).filter(id => !memberships[id]);
+
+    const emails = LIST_OBJECT_TYPES[list.objectTypeId] === 'contacts' ? await readContactEmails(request, addedIds) : {};
+    const addedMembers = Object.fromEntries(addedIds.map(id => [id, filterNullValuesFromObject({
+      email: emails[id],
+      addedAt: memberships[id] || syncedAt.toISOString()
+    })]));
+
+    const listActions = [
+      ...addedIds.map(id => getListMembershipAction(list, id, addedMembers[id], 'Added To List', addedMembers[id].addedAt)),
+      // HubSpot doesn't say when a member left, so removals are dated when they are noticed
+      ...removedIds.map(id => getListMembershipAction(list, id, previousMembers[id], 'Removed From List', syncedAt))
+    ];
+    listActions.filter(action => action).forEach(action => q.push(action));
+
+    // the state must never get ahead of the persisted actions
+    await drainQueue(domain, actions, q);
+
+    await setStates(customerDBName, hubId, kind, addedMembers);
+    await deleteStates(customerDBName, hubId, kind, removedIds);
+  }
 
-    if (actions.length > 2000) {
-      console.log('inserting actions to database', {
-        apiKey: domain.apiKey,
-        count: actions.length
-      });
+  if (!stopRequested) {
+    await setStates(customerDBName, hubId, 'lists', Object.fromEntries(lists.map(list =>
+      [`${list.listId}`, { name: list.name, objectTypeId: list.objectTypeId }])));
+    await deleteStates(customerDBName, hubId, 'lists', deletedLists.map(list => list.listId));
+  }
 
-      const copyOfActions = _.cloneDeep(actions);
-      actions.splice(0, actions.length);
+  return true;
+};
 
-      goal(copyOfActions);
-    }
+/**
+ * Advance lastPulledDates to the end of each completed sync window and drop its checkpoint
+ */
+const commitSyncCursors = (account, objectTypeNames) => {
+  objectTypeNames.forEach(name => {
+    const syncCursor = account.syncCursors.get(name);
+    if (!syncCursor?.completed) return;
+
+    setLastPulledDate(account, name, syncCursor.windowEnd);
+    account.syncCursors.delete(name);
+  });
+};
 
-    callback();
+/**
+ * The queue only collects actions, drainQueue persists them, so a failed insert reaches the caller
+ * before any checkpoint or state moves past the actions
+ */
+const createQueue = actions =>
+  queue(async action => {
+    actions.push(action);
   }, 100000000);
 
 const drainQueue = async (domain, actions, q) => {
-  if (q.length() > 0) await q.drain();
+  if (!q.idle()) await q.drain();
 
   if (actions.length > 0) {
-    goal(actions);
+    logger.info('inserting actions to database', {
+      apiKey: domain.apiKey,
+      count: actions.length
+    });
+
+    const copyOfActions = _.cloneDeep(actions);
+    actions.splice(0, actions.length);
+
+    await goal(domain, copyOfActions);
   }
 
   return true;
 };
 
-const pullDataFromHubspot = async () => {
-  console.log('start pulling data from HubSpot');
+/**
+ * Pull every object type of one HubSpot account and report which operations failed
+ */
+const syncAccount = async (domain, account, objectTypeNames = getEnabledObjectTypeNames(domain), run) => {
+  const log = logger.child({ apiKey: domain.apiKey, hubId: account.hubId, runId: run?.id });
+  log.info('start processing account');
+
+  const errors = [];
+  // errors of the account as a whole, recorded on the run of every object type
+  const accountSyncErrors = [];
+  // SyncRun records by object type name
+  const syncRuns = {};
+
+  const logError = (err, operation, metadata = {}) => {
+    errors.push({ operation, ...metadata, message: err.message });
+
+    const syncError = getSyncError(err, operation);
+    if (metadata.objectType) {
+      syncRuns[metadata.objectType].syncErrors.push(syncError);
+    } else {
+      accountSyncErrors.push(syncError);
+    }
+
+    log.error(err, { operation, ...metadata });
+  };
 
-  const domain = await Domain.findOne({});
+  try {
+    await getHubspotClient(domain, account);
+  } catch (err) {
+    logError(err, 'refreshAccessToken');
+  }
 
-  for (const account of domain.integrations.hubspot.accounts) {
-    console.log('start processing account');
+  try {
+    const ownerCount = await syncOwners(domain, account);
+    log.info('sync owners', { ownerCount });
+  } catch (err) {
+    logError(err, 'syncOwners');
+  }
 
+  if (objectTypeNames.includes('deals')) {
     try {
-      await refreshAccessToken(domain, account.hubId);
+      const pipelineCount = await syncDealPipelines(domain, account);
+      log.info('sync deal pipelines', { pipelineCount });
     } catch (err) {
-      console.log(err, {
-        apiKey: domain.apiKey,
-        metadata: { operation: 'refreshAccessToken' }
-      });
+      logError(err, 'syncDealPipelines');
     }
+  }
+
+  let definitions = objectTypes;
+  try {
+    definitions = { ...objectTypes, ...await getCustomObjectDefinitions(createRequest(domain, account), objectTypeNames) };
+  } catch (err) {
+    logError(err, 'getCustomObjectDefinitions');
+  }
+
+  const actions = [];
+  const q = createQueue(actions);
+
+  const processedObjectTypes = [];
+  for (const name of objectTypeNames) {
+    if (stopRequested) break;
+
+    // custom objects the account doesn't have are skipped
+    const definition = definitions[name];
+    if (!definition) continue;
 
-    const actions = [];
-    const q = createQueue(domain, actions);
+    const syncRun = createSyncRun(domain, { run, hubId: account.hubId, objectType: definition.name });
+    syncRuns[definition.name] = syncRun;
+    await saveSyncRun(syncRun);
 
+    const observeDuration = syncDuration.startTimer({ object_type: definition.name });
     try {
-      await processContacts(domain, account.hubId, q);
-      console.log('process contacts');
+      await processObjectType(domain, account.hubId, q, actions, definition, run, syncRun);
+      processedObjectTypes.push(definition.name);
+      observeDuration({ status: 'succeeded' });
+      log.info(`process ${definition.name}`, { objectType: definition.name });
     } catch (err) {
-      console.log(err, {
-        apiKey: domain.apiKey,
-        metadata: { operation: 'processContacts', hubId: account.hubId }
-      });
+      observeDuration({ status: 'failed' });
+      logError(err, 'processObjectType', { objectType: definition.name });
     }
 
+    syncRun.finishedAt = new Date();
+  }
+
+  for (const name of processedObjectTypes) {
+    if (stopRequested) break;
+
+    const definition = definitions[name];
+    if (!definition.reconcileArchived) continue;
+
     try {
-      await processCompanies(domain, account.hubId, q);
-      console.log('process companies');
+      await reconcileArchivedRecords(domain, account, q, actions, definition);
+      log.info(`reconcile archived ${definition.name}`, { objectType: definition.name });
     } catch (err) {
-      console.log(err, {
-        apiKey: domain.apiKey,
-        metadata: { operation: 'processCompanies', hubId: account.hubId }
-      });
+      logError(err, 'reconcileArchivedRecords', { objectType: definition.name });
     }
+  }
 
+  if (!stopRequested && Object.values(LIST_OBJECT_TYPES).some(name => processedObjectTypes.includes(name))) {
     try {
-      await processMeetings(domain, account.hubId, q);
-      console.log('process meetings');
+      await syncListMemberships(domain, account, q, actions, processedObjectTypes);
+      log.info('sync list memberships');
     } catch (err) {
-      console.log(err, {
-        apiKey: domain.apiKey,
-        metadata: { operation: 'processMeetings', hubId: account.hubId }
-      });
+      logError(err, 'syncListMemberships');
     }
+  }
+
+  try {
+    await drainQueue(domain, actions, q);
+    log.info('drain queue');
+
+    commitSyncCursors(account, processedObjectTypes);
+  } catch (err) {
+    logError(err, 'drainQueue');
+  }
+
+  try {
+    await saveDomain(domain);
+  } catch (err) {
+    logError(err, 'saveDomain');
+  }
+
+  // an object type whose cursor is left was stopped before the end of its window
+  for (const [name, syncRun] of Object.entries(syncRuns)) {
+    syncRun.syncErrors.push(...accountSyncErrors);
+    syncRun.status = syncRun.syncErrors.length ? 'failed' : (account.syncCursors.has(name) ? 'stopped' : 'succeeded');
+
+    await saveSyncRun(syncRun);
+  }
+
+  log.info('finish processing account', { errors: errors.length });
+
+  return {
+    hubId: account.hubId,
+    status: errors.length ? 'failed' : 'succeeded',
+    processedObjectTypes,
+    stopped: stopRequested,
+    errors
+  };
+};
+
+/**
+ * Pull every HubSpot account of one domain, one account at a time
+ */
+const syncDomain = async (domain, { objectTypeNames, hubIds, run } = {}) => {
+  const accounts = [];
+
+  for (const account of domain.integrations.hubspot.accounts) {
+    if (stopRequested) break;
+    if (hubIds && !hubIds.includes(account.hubId)) continue;
 
     try {
-      await drainQueue(domain, actions, q);
-      console.log('drain queue');
+      accounts.push(await syncAccount(domain, account, objectTypeNames, run));
     } catch (err) {
-      console.log(err, {
-        apiKey: domain.apiKey,
-        metadata: { operation: 'drainQueue', hubId: account.hubId }
+      logger.error(err, { apiKey: domain.apiKey, hubId: account.hubId, runId: run?.id, operation: 'syncAccount' });
+      await saveFailedSyncRun(domain, { run, hubId: account.hubId }, 'syncAccount', err);
+
+      accounts.push({
+        hubId: account.hubId,
+        status: 'failed',
+        processedObjectTypes: [],
+        stopped: stopRequested,
+        errors: [{ operation: 'syncAccount', message: err.message }]
       });
     }
-
-    await saveDomain(domain);
-
-    console.log('finish processing account');
   }
 
-  process.exit();
+  return {
+    apiKey: domain.apiKey,
+    status: accounts.some(account => account.status === 'failed') ? 'failed' : 'succeeded',
+    accounts
+  };
 };
 
-module.exports = pullDataFromHubspot;
+/**
+ * Ask running syncs to stop after the page in progress
+ */
+const requestStop = () => {
+  stopRequested = true;
+};
+
+module.exports = {
+  readRecords,
+  getRequestedProperties,
+  getRecordStatusAction,
+  mapRecordsToActions,
+  saveRecordStates,
+  syncDomain,
+  requestStop
+};